@@ -0,0 +1,114 @@
+import { appendFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const SENDGRID_API_URL = 'https://api.sendgrid.com/v3/mail/send';
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const PROVIDER_TIMEOUT_MS = 10000;
+
+// Both channels expose the same shape:
+//   email.send({ to, subject, text, html, headers }) -> { id }
+//   sms.send({ to, body }) -> { id }
+// `to` is an address or an E.164 phone number; providers throw on failure.
+export function createOutboundChannels(env = process.env) {
+  const transport = env.OUTBOUND_TRANSPORT || (env.FUNCTIONS_EMULATOR === 'true' ? 'file' : 'providers');
+  if (transport === 'file') {
+    const path = env.OUTBOUND_OUTBOX_PATH || join(tmpdir(), 'punchin-outbox.jsonl');
+    return { email: createFileTransport('email', path), sms: createFileTransport('sms', path) };
+  }
+  if (transport === 'console') {
+    return { email: createConsoleTransport('email'), sms: createConsoleTransport('sms') };
+  }
+  return {
+    email: createSendGridTransport({ apiKey: env.SENDGRID_API_KEY, from: env.EMAIL_FROM }),
+    sms: createTwilioTransport({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: env.TWILIO_FROM_NUMBER,
+    }),
+  };
+}
+
+export function createSendGridTransport({ apiKey, from }) {
+  return {
+    name: 'sendgrid',
+
+    async send({ to, subject, text, html, headers = {} }) {
+      if (!apiKey || !from) {
+        throw new Error('Email is not configured.');
+      }
+      const content = [{ type: 'text/plain', value: text }];
+      if (html) {
+        content.push({ type: 'text/html', value: html });
+      }
+      const response = await fetch(SENDGRID_API_URL, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from },
+          subject,
+          content,
+          headers,
+        }),
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`SendGrid request failed with status ${response.status}.`);
+      }
+      return { id: response.headers.get('x-message-id') };
+    },
+  };
+}
+
+export function createTwilioTransport({ accountSid, authToken, from }) {
+  return {
+    name: 'twilio',
+
+    async send({ to, body }) {
+      if (!accountSid || !authToken || !from) {
+        throw new Error('SMS is not configured.');
+      }
+      const response = await fetch(`${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }).toString(),
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || `Twilio request failed with status ${response.status}.`);
+      }
+      return { id: result.sid };
+    },
+  };
+}
+
+// Appends each message as a JSON line so emulator runs can be inspected with `tail -f`.
+export function createFileTransport(channel, path) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      const id = `${channel}_${randomBytes(8).toString('hex')}`;
+      await appendFile(path, `${JSON.stringify({ id, channel, ...message, sentAt: new Date().toISOString() })}\n`);
+      return { id };
+    },
+  };
+}
+
+export function createConsoleTransport(channel) {
+  return {
+    name: 'console',
+
+    async send(message) {
+      const id = `${channel}_${randomBytes(8).toString('hex')}`;
+      console.log(`[outbound:${channel}]`, JSON.stringify({ id, ...message }));
+      return { id };
+    },
+  };
+}
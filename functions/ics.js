@@ -0,0 +1,463 @@
+import { resolveTimeZone, zonedDateTime } from './time.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_RECURRENCE_ITERATIONS = 5000;
+
+export function formatCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Punch-In//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(formatEvent),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+function formatEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp ?? new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Feeds always emit UTC instants, so subscribers never depend on VTIMEZONE support.
+export function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const segments = [];
+  let current = '';
+  for (const character of line) {
+    const limit = segments.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + character) > limit) {
+      segments.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  segments.push(current);
+  return segments.join(`${CRLF} `);
+}
+
+export function parseCalendar(text) {
+  const calendar = { timeZone: null, events: [] };
+  const components = [];
+  let event = null;
+
+  unfoldLines(text).forEach(line => {
+    const property = parseProperty(line);
+    if (!property) {
+      return;
+    }
+
+    const { name, params, value } = property;
+    if (name === 'BEGIN') {
+      components.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { exdates: [] };
+      }
+      return;
+    }
+    if (name === 'END') {
+      components.pop();
+      if (value.toUpperCase() === 'VEVENT' && event) {
+        calendar.events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    const component = components[components.length - 1];
+    if (component === 'VCALENDAR' && name === 'X-WR-TIMEZONE') {
+      calendar.timeZone = value;
+      return;
+    }
+    if (component !== 'VEVENT' || !event) {
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      case 'STATUS':
+        event.status = value.toUpperCase();
+        break;
+      case 'TRANSP':
+        event.transparency = value.toUpperCase();
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(value, params);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(value, params);
+        break;
+      case 'DURATION':
+        event.durationMs = parseDuration(value);
+        break;
+      case 'RRULE':
+        event.rrule = parseRecurrenceRule(value);
+        break;
+      case 'EXDATE':
+        event.exdates.push(...value.split(',').map(part => parseDateValue(part, params)).filter(Boolean));
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseDateValue(value, params);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return calendar;
+}
+
+// Expands every event into concrete occurrences overlapping [rangeStart, rangeEnd).
+// `toInstant` turns a parsed local date value into a Date; recurrence maths runs on
+// wall-clock dates so weekly sessions keep their local time across DST changes.
+export function expandEvents(calendar, { rangeStart, rangeEnd, toInstant }) {
+  const usable = calendar.events.filter(event => event.uid && event.start);
+  const overridesByUid = new Map();
+  usable
+    .filter(event => event.recurrenceId)
+    .forEach(event => {
+      const overrides = overridesByUid.get(event.uid) || new Map();
+      overrides.set(toInstant(event.recurrenceId).getTime(), event);
+      overridesByUid.set(event.uid, overrides);
+    });
+
+  const occurrences = [];
+  const pushOccurrence = (event, originalStart, start) => {
+    if (event.status === 'CANCELLED' || event.transparency === 'TRANSPARENT') {
+      return;
+    }
+    const end = new Date(start.getTime() + eventDurationMs(event, toInstant));
+    if (end > rangeStart && start < rangeEnd) {
+      occurrences.push({
+        uid: event.uid,
+        recurrenceKey: originalStart.toISOString(),
+        summary: event.summary || '',
+        start,
+        end,
+      });
+    }
+  };
+
+  usable
+    .filter(event => !event.recurrenceId)
+    .forEach(event => {
+      const overrides = overridesByUid.get(event.uid) || new Map();
+      const excluded = new Set(event.exdates.map(value => toInstant(value).getTime()));
+      const until = event.rrule?.until
+        ? toInstant(event.rrule.until).getTime() + (event.rrule.until.isDate ? DAY_MS - 1 : 0)
+        : Infinity;
+      let count = 0;
+      // Without COUNT nothing before the window matters, so long-running series
+      // start near rangeStart instead of spending the iteration budget on the past.
+      const skipToDay =
+        event.rrule && !event.rrule.count
+          ? Math.floor((rangeStart.getTime() - eventDurationMs(event, toInstant)) / DAY_MS) * DAY_MS - 2 * DAY_MS
+          : null;
+
+      for (const local of recurrenceDates(event, skipToDay)) {
+        const originalStart = toInstant(local);
+        if (originalStart.getTime() > until || originalStart >= rangeEnd) {
+          break;
+        }
+        count += 1;
+        if (event.rrule?.count && count > event.rrule.count) {
+          break;
+        }
+        if (excluded.has(originalStart.getTime())) {
+          continue;
+        }
+
+        const override = overrides.get(originalStart.getTime());
+        if (override) {
+          overrides.delete(originalStart.getTime());
+          pushOccurrence(override, originalStart, toInstant(override.start));
+        } else {
+          pushOccurrence(event, originalStart, originalStart);
+        }
+      }
+
+      overrides.forEach((override, originalMs) => {
+        pushOccurrence(override, new Date(originalMs), toInstant(override.start));
+      });
+    });
+
+  return occurrences;
+}
+
+// Floating times and all-day dates have no zone of their own, so they are read in
+// the calendar's X-WR-TIMEZONE or, failing that, the engineer's home time zone.
+export function calendarValueToDate(value, defaultTimeZone) {
+  if (value.utc) {
+    return new Date(Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute));
+  }
+  const timeZone = value.tzid && !value.isDate ? resolveTimeZone(value.tzid) : defaultTimeZone;
+  const dateKey = [value.year, String(value.month).padStart(2, '0'), String(value.day).padStart(2, '0')].join('-');
+  return zonedDateTime(dateKey, value.hour * 60 + value.minute, timeZone);
+}
+
+function eventDurationMs(event, toInstant) {
+  if (event.end) {
+    return Math.max(0, toInstant(event.end).getTime() - toInstant(event.start).getTime());
+  }
+  if (typeof event.durationMs === 'number') {
+    return event.durationMs;
+  }
+  return event.start.isDate ? DAY_MS : 0;
+}
+
+// `skipToDay` (a civil-day timestamp) lets the series start at the first period
+// on or before that day; the two-day margin in the caller absorbs UTC offsets.
+function* recurrenceDates(event, skipToDay = null) {
+  const start = event.start;
+  const rule = event.rrule;
+  const firstDay = civilDay(start.year, start.month, start.day);
+  const atDay = dayMs => withCivilDay(start, dayMs);
+  const skipping = skipToDay !== null && skipToDay > firstDay;
+  const skipTo = skipping ? new Date(skipToDay) : null;
+  const periodsBefore = (elapsed, period) => (skipping ? Math.floor(Math.max(0, elapsed) / period) * period : 0);
+
+  if (!rule) {
+    yield start;
+    return;
+  }
+
+  const interval = rule.interval || 1;
+  let iterations = 0;
+  const keepGoing = () => (iterations += 1) <= MAX_RECURRENCE_ITERATIONS;
+
+  if (rule.freq === 'DAILY') {
+    const period = interval * DAY_MS;
+    for (let day = firstDay + periodsBefore(skipToDay - firstDay, period); keepGoing(); day += period) {
+      yield atDay(day);
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = (rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [new Date(firstDay).getUTCDay()])
+      .map(weekday => (weekday + 6) % 7)
+      .sort((a, b) => a - b);
+    const weekStart = firstDay - ((new Date(firstDay).getUTCDay() + 6) % 7) * DAY_MS;
+    const period = interval * 7 * DAY_MS;
+    for (let week = weekStart + periodsBefore(skipToDay - weekStart, period); keepGoing(); week += period) {
+      for (const offset of weekdays) {
+        const day = week + offset * DAY_MS;
+        if (day >= firstDay) {
+          yield atDay(day);
+        }
+      }
+    }
+  } else if (rule.freq === 'MONTHLY') {
+    const monthsElapsed = skipping
+      ? (skipTo.getUTCFullYear() - start.year) * 12 + (skipTo.getUTCMonth() + 1 - start.month) - 1
+      : 0;
+    for (let step = periodsBefore(monthsElapsed, interval); keepGoing(); step += interval) {
+      const year = start.year + Math.floor((start.month - 1 + step) / 12);
+      const month = ((start.month - 1 + step) % 12) + 1;
+      for (const day of monthlyDays(rule, start, year, month)) {
+        if (day >= firstDay) {
+          yield atDay(day);
+        }
+      }
+    }
+  } else if (rule.freq === 'YEARLY') {
+    const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [start.month];
+    const yearsElapsed = skipping ? skipTo.getUTCFullYear() - start.year - 1 : 0;
+    for (let year = start.year + periodsBefore(yearsElapsed, interval); keepGoing(); year += interval) {
+      for (const month of months) {
+        for (const day of monthlyDays(rule, start, year, month)) {
+          if (day >= firstDay) {
+            yield atDay(day);
+          }
+        }
+      }
+    }
+  } else {
+    yield start;
+  }
+}
+
+function monthlyDays(rule, start, year, month) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  let days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(day => (day < 0 ? daysInMonth + day + 1 : day));
+  } else if (rule.byDay.length > 0) {
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day += 1) {
+        if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      if (!ordinal) {
+        days.push(...matching);
+      } else {
+        const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (picked) {
+          days.push(picked);
+        }
+      }
+    });
+  } else {
+    days = [start.day];
+  }
+
+  return Array.from(new Set(days))
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map(day => civilDay(year, month, day));
+}
+
+function civilDay(year, month, day) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function withCivilDay(value, dayMs) {
+  const date = new Date(dayMs);
+  return {
+    ...value,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+}
+
+function parseRecurrenceRule(value) {
+  const parts = Object.fromEntries(
+    value.split(';').map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=')];
+    }),
+  );
+  const numbers = list => (list ? list.split(',').map(Number).filter(Number.isInteger) : []);
+
+  return {
+    freq: (parts.FREQ || '').toUpperCase(),
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL, {}) : null,
+    byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+      .map(entry => entry.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+      .filter(Boolean)
+      .map(match => ({ ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) })),
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+  };
+}
+
+function parseDateValue(value, params) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const isDate = params.VALUE === 'DATE' || !match[4];
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: isDate ? 0 : Number(match[4]),
+    minute: isDate ? 0 : Number(match[5]),
+    isDate,
+    utc: Boolean(match[7]),
+    tzid: params.TZID || null,
+  };
+}
+
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part ?? 0);
+  const totalSeconds =
+    (Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  const ms = totalSeconds * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim());
+}
+
+function parseProperty(line) {
+  let inQuotes = false;
+  let separator = -1;
+  for (let index = 0; index < line.length; index += 1) {
+    if (line[index] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[index] === ':' && !inQuotes) {
+      separator = index;
+      break;
+    }
+  }
+  if (separator < 0) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = Object.fromEntries(
+    rawParams.map(param => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    }),
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+}
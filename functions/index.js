@@ -1,9 +1,24 @@
+import { createHash, randomBytes } from 'crypto';
+import { lookup as dnsLookup } from 'dns';
+import { get as httpsGet } from 'https';
+import { BlockList, isIP } from 'net';
 import * as functions from 'firebase-functions/v1';
 import { initializeApp } from 'firebase-admin/app';
-import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldPath, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { calendarValueToDate, expandEvents, formatCalendar, parseCalendar } from './ics.js';
+import { createOutboundChannels } from './channels.js';
+import { createAlertPushHandler, createMessagingTransport } from './messaging.js';
+import { createPaymentProvider } from './payments.js';
+import { renderAlertDigest, renderBookingMessage, renderUnsubscribePage } from './templates.js';
+import { resolveTimeZone, zonedDateParts, zonedDateTime } from './time.js';
 
 initializeApp();
 const db = getFirestore();
+const payments = createPaymentProvider();
+const messaging = createMessagingTransport();
+const outbound = createOutboundChannels();
 
 const ALERTS_COLLECTION = 'alerts';
 const DATE_FORMAT_OPTIONS = {
@@ -13,6 +28,76 @@ const DATE_FORMAT_OPTIONS = {
   minute: '2-digit',
   timeZoneName: 'short',
 };
+const BOOKING_MIN_DURATION_MINUTES = 30;
+const BOOKING_MAX_DURATION_MINUTES = 12 * 60;
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+const BLOCKING_AVAILABILITY_KINDS = ['block', 'bookingHold', 'selfBooking'];
+const SYSTEM_ACTOR_ID = 'system';
+const SESSION_REMINDERS = [
+  { key: '1h', leadMinutes: 60, label: 'in 1 hour' },
+  { key: '24h', leadMinutes: 24 * 60, label: 'in 24 hours' },
+];
+const MAX_BATCH_WRITES = 400;
+const OPEN_SLOT_GRANULARITIES = [15, 30, 60];
+const OPEN_SLOT_MAX_RANGE_DAYS = 31;
+const AVAILABILITY_SNAPSHOTS_COLLECTION = 'availabilitySnapshots';
+const AVAILABILITY_SNAPSHOT_DAYS = 28;
+const AVAILABILITY_SNAPSHOT_REBUILDS_COLLECTION = 'availabilitySnapshotRebuilds';
+const AVAILABILITY_SNAPSHOT_REBUILDS_PER_RUN = 100;
+const CALENDAR_FEEDS_COLLECTION = 'calendarFeeds';
+const CALENDAR_FEED_PAST_DAYS = 60;
+const CALENDAR_FEED_FUTURE_DAYS = 180;
+const CALENDAR_FEED_RECURRING_DAYS = 56;
+const CALENDAR_IMPORTS_MAX_PER_USER = 5;
+const CALENDAR_IMPORT_PAST_DAYS = 1;
+const CALENDAR_IMPORT_FUTURE_DAYS = 90;
+const CALENDAR_IMPORT_MAX_EVENTS = 500;
+const CALENDAR_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const CALENDAR_IMPORT_FETCH_TIMEOUT_MS = 10000;
+const CALENDAR_IMPORT_MAX_REDIRECTS = 5;
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const WAITLIST_COLLECTION = 'waitlistEntries';
+const WAITLIST_MAX_ACTIVE_PER_USER = 10;
+const WAITLIST_MAX_WINDOW_DAYS = 31;
+const WAITLIST_HOLD_MINUTES = 30;
+const PAYMENTS_COLLECTION = 'payments';
+const PAYMENT_EVENTS_COLLECTION = 'paymentEvents';
+const LEDGER_ENTRIES_COLLECTION = 'ledgerEntries';
+const LEDGER_ACCOUNTS_COLLECTION = 'ledgerAccounts';
+const STUDIO_REPORTS_SUBCOLLECTION = 'reports';
+const STUDIO_REPORT_LOOKBACK_DAYS = 3;
+const STUDIO_REPORT_MAX_RANGE_DAYS = 92;
+const STUDIO_REPORT_RUNS_COLLECTION = 'studioReportRuns';
+const VIDEO_PROJECT_REQUESTS_COLLECTION = 'videoProjectRequests';
+const VIDEO_PROJECT_QUOTES_SUBCOLLECTION = 'quotes';
+const VIDEO_PROJECT_MAX_DURATION_MINUTES = 24 * 60;
+const VIDEO_PROJECT_MAX_LOCATIONS = 12;
+const VIDEO_PROJECT_QUOTE_NOTE_MAX_LENGTH = 1000;
+const ENTITLEMENTS_COLLECTION = 'entitlements';
+const PREMIUM_ENGINEER_PLAN = 'premiumEngineer';
+const DEVICE_TOKENS_COLLECTION = 'deviceTokens';
+const DEVICE_TOKENS_MAX_PER_USER = 10;
+const DEVICE_TOKEN_MAX_LENGTH = 4096;
+const DEVICE_TOKEN_PLATFORMS = ['ios', 'android', 'web'];
+const NOTIFICATION_PREFERENCES_COLLECTION = 'notificationPreferences';
+const NOTIFICATION_MAX_MUTED_CONVERSATIONS = 200;
+const ALERT_CATEGORIES = ['booking', 'chat', 'studio', 'request', 'media', 'system'];
+// Cancelling a session that starts within this window always alerts, even when muted.
+const CRITICAL_CANCELLATION_WINDOW_HOURS = 24;
+const OUTBOUND_MESSAGES_COLLECTION = 'outboundMessages';
+// Booking emails and the digest are opt-out; SMS is opt-in.
+const NOTIFICATION_CHANNEL_DEFAULTS = { email: true, sms: false, digest: true };
+const ALERT_DIGEST_MAX_ITEMS = 10;
+const CONVERSATION_STATES_SUBCOLLECTION = 'conversationStates';
+const CHAT_VIEWING_TTL_SECONDS = 90;
+const ALERT_RETENTION_DAYS = Number(process.env.ALERT_RETENTION_DAYS) || 30;
+const ICS_EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  rescheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
 
 const tokenize = (...values) =>
   Array.from(
@@ -102,7 +187,7 @@ export const syncBookingAvailability = functions
     if (statusChanged || timesChanged) {
       if (after.status === 'confirmed') {
         await ensureBookingHolds(after, bookingId);
-      } else if (['cancelled', 'completed'].includes(after.status)) {
+      } else if (before.status === 'confirmed' || ['cancelled', 'completed'].includes(after.status)) {
         await removeBookingHolds(after, bookingId);
       }
     }
@@ -110,337 +195,5638 @@ export const syncBookingAvailability = functions
     return null;
   });
 
-export const notifyChatMessage = functions
+// Bookings the app writes directly carry client-computed pricing; recompute it
+// from the room/engineer rates and freeze it once the booking is confirmed.
+export const priceBooking = functions
   .region('us-central1')
-  .firestore.document('conversations/{threadId}/messages/{messageId}')
-  .onCreate(async (snapshot, context) => {
-    const message = snapshot.data();
-    const threadId = context.params.threadId;
-    if (!message) {
+  .firestore.document('bookings/{bookingId}')
+  .onWrite(async change => {
+    if (!change.after.exists) {
       return null;
     }
-
-    const conversationSnap = await db.collection('conversations').doc(threadId).get();
-    if (!conversationSnap.exists) {
+    const booking = change.after.data();
+    if (booking.selfBooking || ['cancelled', 'completed'].includes(booking.status)) {
       return null;
     }
 
-    const conversation = conversationSnap.data() || {};
-    const participantIds = resolveParticipantIds(conversation).filter(
-      id => id && id !== message.senderId,
+    const studioRef = db.collection('studios').doc(booking.studioId);
+    const [studioSnap, roomSnap, engineerSnap] = await Promise.all([
+      studioRef.get(),
+      studioRef.collection('rooms').doc(booking.roomId).get(),
+      db.collection('users').doc(booking.engineerId).get(),
+    ]);
+    const fields = bookingPricingFields(
+      { studio: studioSnap.data(), room: roomSnap.data(), engineer: engineerSnap.data() },
+      booking.durationMinutes,
+      booking,
+      booking.status === 'confirmed',
+      Timestamp.now(),
     );
-    if (participantIds.length === 0) {
+
+    const pricingFields = ['hourlyRate', 'engineerHourlyRate', 'roomTotal', 'engineerTotal', 'total', 'currency', 'frozenAt'];
+    if (!fields.pricing && booking.pricing) {
+      // No server-side rate to price against, so drop whatever the client sent.
+      return change.after.ref.update({ pricing: FieldValue.delete() });
+    }
+    if (fields.pricing && booking.pricing && documentsEqual(booking.pricing, fields.pricing, pricingFields)) {
+      delete fields.pricing;
+    }
+    if (!fields.pricing && !('cancellationPolicy' in fields)) {
       return null;
     }
-
-    const title = 'New message';
-    const preview =
-      message.content?.text ||
-      message.lastMessagePreview ||
-      conversation.displayName ||
-      'You have a new message';
-
-    await Promise.all(
-      participantIds.map(participantId =>
-        createAlert(participantId, {
-          title,
-          message: preview,
-          category: 'chat',
-          deeplink: `punchin://chat/${threadId}`,
-        }),
-      ),
-    );
-    return null;
+    return change.after.ref.update(fields);
   });
 
-export const notifyMediaRating = functions
+// The app still writes some bookings directly, so new bookings are re-checked
+// against engineer eligibility and rejected or downgraded like `createBooking` would.
+export const enforceBookingEligibility = functions
   .region('us-central1')
-  .firestore.document('users/{ownerId}/media/{mediaId}/ratings/{ratingUserId}')
-  .onWrite(async (change, context) => {
-    const { ownerId, mediaId, ratingUserId } = context.params;
-    const parentRef = db.collection('users').doc(ownerId).collection('media').doc(mediaId);
+  .firestore.document('bookings/{bookingId}')
+  .onCreate(snapshot =>
+    db.runTransaction(async transaction => {
+      const bookingSnap = await transaction.get(snapshot.ref);
+      const booking = bookingSnap.data();
+      if (!booking || !booking.engineerId || !['pending', 'confirmed'].includes(booking.status)) {
+        return null;
+      }
 
-    if (!change.after.exists) {
-      await parentRef.update({
-        [`ratings.${ratingUserId}`]: FieldValue.delete(),
-        updatedAt: FieldValue.serverTimestamp(),
+      const sessionWindow = bookingWindow(booking);
+      const bookingContext = await loadBookingContext(transaction, booking).catch(() => null);
+      if (!bookingContext || !sessionWindow.start) {
+        return null;
+      }
+
+      const now = Timestamp.now();
+      const access = resolveEngineerStudioAccess(bookingContext, sessionWindow.start);
+      let update;
+      let event;
+      if (access === 'none') {
+        const reason = "That engineer doesn't work at this studio.";
+        update = cancelledBookingFields(booking, SYSTEM_ACTOR_ID, now, 'rejected', reason);
+        event = {
+          ...statusChangeEvent(booking.status, 'cancelled'),
+          message: 'Request rejected: engineer is not at this studio',
+        };
+      } else if (access === 'restricted' && booking.status === 'confirmed' && !booking.selfBooking) {
+        update = {
+          status: 'pending',
+          confirmedStart: null,
+          confirmedEnd: null,
+          instantBook: false,
+          'approval.requiresEngineerApproval': true,
+          'approval.resolvedBy': null,
+          'approval.resolvedAt': null,
+        };
+        event = {
+          ...statusChangeEvent(booking.status, 'pending'),
+          message: 'Needs engineer approval: not their main studio that day',
+        };
+      } else {
+        return null;
+      }
+
+      transaction.update(snapshot.ref, { ...update, updatedAt: now });
+      transaction.set(snapshot.ref.collection('timelineEvents').doc(), {
+        ...event,
+        createdBy: SYSTEM_ACTOR_ID,
+        createdAt: now,
       });
       return null;
-    }
+    }),
+  );
 
-    const ratingData = change.after.data() || {};
-    const ratingValue = ratingData.rating;
-    if (typeof ratingValue !== 'number') {
-      return null;
+export const createBooking = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const artistId = context.auth?.uid;
+    if (!artistId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to request a booking.');
     }
 
-    await parentRef.set(
-      {
-        [`ratings.${ratingUserId}`]: ratingValue,
-        updatedAt: FieldValue.serverTimestamp(),
-      },
-      { merge: true },
-    );
+    const request = parseBookingRequest(data);
+    const bookingRef = db.collection('bookings').doc();
 
-    if (ownerId === ratingUserId) {
-      return null;
-    }
+    const result = await db.runTransaction(async transaction => {
+      const bookingContext = await loadBookingContext(transaction, request);
+      const waitlistHolds = claimWaitlistHolds(bookingContext, request, artistId);
+      const reasons = evaluateBookingRequest(bookingContext, request);
+      if (reasons.length > 0) {
+        return { reasons };
+      }
 
-    const [mediaSnap, reviewerSnap] = await Promise.all([
-      parentRef.get(),
-      db.collection('users').doc(ratingUserId).get(),
-    ]);
+      const approval = resolveBookingApproval(bookingContext, request.start);
+      const instantBook = !approval.requiresStudioApproval && !approval.requiresEngineerApproval;
+      const start = Timestamp.fromDate(request.start);
+      const end = Timestamp.fromDate(request.end);
+      const now = Timestamp.now();
 
-    const media = mediaSnap.data() || {};
-    const reviewer = reviewerSnap.data() || {};
-    const displayTitle = media.title || media.displayCategoryTitle || 'Your media';
-    const reviewerName = reviewer.displayName || reviewer.username || 'Someone';
+      const booking = {
+        artistId,
+        studioId: request.studioId,
+        roomId: request.roomId,
+        engineerId: request.engineerId,
+        status: instantBook ? 'confirmed' : 'pending',
+        requestedStart: start,
+        requestedEnd: end,
+        confirmedStart: instantBook ? start : null,
+        confirmedEnd: instantBook ? end : null,
+        durationMinutes: request.durationMinutes,
+        instantBook,
+        approval: {
+          ...approval,
+          resolvedBy: null,
+          resolvedAt: null,
+        },
+        conversationId: null,
+        notes: request.notes,
+        createdAt: now,
+        updatedAt: now,
+      };
 
-    await createAlert(ownerId, {
-      title: 'New rating received',
-      message: `${reviewerName} rated "${displayTitle}"`,
-      category: 'media',
-      deeplink: `punchin://media/${mediaId}`,
+      Object.assign(
+        booking,
+        instantBook
+          ? confirmationFields(bookingContext, booking, request, now)
+          : bookingPricingFields(bookingContext, request.durationMinutes, null, false, now),
+      );
+
+      transaction.set(bookingRef, booking);
+      waitlistHolds.forEach(({ ref }) => transaction.delete(ref));
+      new Set(waitlistHolds.map(({ entry }) => entry.waitlistHold.entryId)).forEach(entryId =>
+        transaction.update(db.collection(WAITLIST_COLLECTION).doc(entryId), {
+          status: 'booked',
+          bookingId: bookingRef.id,
+          updatedAt: now,
+        }),
+      );
+      return { booking };
     });
-    return null;
+
+    if (result.reasons) {
+      throw new functions.https.HttpsError('failed-precondition', result.reasons[0].message, {
+        reasons: result.reasons,
+      });
+    }
+
+    return {
+      bookingId: bookingRef.id,
+      status: result.booking.status,
+      instantBook: result.booking.instantBook,
+    };
   });
 
-export const notifyBeatDownloadRequest = functions
+export const createSelfBooking = functions
   .region('us-central1')
-  .firestore.document('beatDownloadRequests/{requestId}')
-  .onCreate(async (snapshot) => {
-    const request = snapshot.data();
-    if (!request) {
-      return null;
+  .https.onCall(async (data, context) => {
+    const bookerId = context.auth?.uid;
+    if (!bookerId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to book a session.');
     }
 
-    const { producerId, requesterId, beatId } = request;
-    if (!producerId || producerId === requesterId) {
-      return null;
-    }
+    const request = parseBookingRequest(data, { engineerOptional: true });
+    const bookingRef = db.collection('bookings').doc();
 
-    const [beatSnap, requesterSnap] = await Promise.all([
-      db.collection('users').doc(producerId).collection('beatCatalog').doc(beatId).get(),
-      requesterId ? db.collection('users').doc(requesterId).get() : null,
-    ]);
+    const result = await db.runTransaction(async transaction => {
+      const bookingContext = await loadBookingContext(transaction, request);
+      const isStudioOwner = bookingContext.studio.ownerId === bookerId;
+      const isEngineer = request.engineerId === bookerId;
+      if (!isStudioOwner && !isEngineer) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the studio owner or the session engineer can self-book.',
+        );
+      }
 
-    const beat = beatSnap.exists ? beatSnap.data() || {} : {};
-    const requester = requesterSnap?.exists ? requesterSnap.data() || {} : {};
-    const beatTitle = beat.title || 'one of your beats';
-    const requesterName = requester.displayName || requester.username || 'Someone';
+      const reasons = evaluateBookingRequest(bookingContext, request);
+      if (reasons.length > 0) {
+        return { reasons };
+      }
 
-    await createAlert(producerId, {
-      title: 'Download request received',
-      message: `${requesterName} requested files for "${beatTitle}".`,
-      category: 'media',
-      deeplink: null,
+      const approval = resolveSelfBookingApproval(bookingContext, bookerId);
+      const confirmed = !approval.requiresStudioApproval && !approval.requiresEngineerApproval;
+      const start = Timestamp.fromDate(request.start);
+      const end = Timestamp.fromDate(request.end);
+      const now = Timestamp.now();
+
+      const booking = {
+        artistId: null,
+        selfBooking: true,
+        bookedBy: bookerId,
+        studioId: request.studioId,
+        roomId: request.roomId,
+        engineerId: request.engineerId,
+        status: confirmed ? 'confirmed' : 'pending',
+        requestedStart: start,
+        requestedEnd: end,
+        confirmedStart: confirmed ? start : null,
+        confirmedEnd: confirmed ? end : null,
+        durationMinutes: request.durationMinutes,
+        instantBook: false,
+        approval: {
+          ...approval,
+          resolvedBy: confirmed ? bookerId : null,
+          resolvedAt: confirmed ? now : null,
+        },
+        conversationId: null,
+        notes: request.notes,
+        createdAt: now,
+        updatedAt: now,
+      };
+      transaction.set(bookingRef, booking);
+      return { booking };
     });
 
+    if (result.reasons) {
+      throw new functions.https.HttpsError('failed-precondition', result.reasons[0].message, {
+        reasons: result.reasons,
+      });
+    }
+
+    return { bookingId: bookingRef.id, status: result.booking.status };
+  });
+
+export const approveBooking = functions
+  .region('us-central1')
+  .https.onCall((data, context) =>
+    runBookingTransition(context, data, async ({ transaction, booking, roles, uid, now }) => {
+      assertBookingRole(roles.isEngineer || roles.isStudioOwner, 'Only the studio or engineer can approve this booking.');
+      assertBookingStatus(booking, ['pending', 'rescheduled']);
+
+      const approval = {
+        requiresStudioApproval: booking.approval?.requiresStudioApproval ?? true,
+        requiresEngineerApproval: booking.approval?.requiresEngineerApproval ?? true,
+        resolvedBy: booking.approval?.resolvedBy ?? null,
+        resolvedAt: booking.approval?.resolvedAt ?? null,
+      };
+      if (roles.isStudioOwner) {
+        approval.requiresStudioApproval = false;
+      }
+      if (roles.isEngineer) {
+        approval.requiresEngineerApproval = false;
+      }
+
+      if (approval.requiresStudioApproval || approval.requiresEngineerApproval) {
+        return {
+          update: { approval },
+          event: {
+            type: 'note',
+            message: `Approved by the ${roles.isStudioOwner ? 'studio' : 'engineer'}; waiting on the ${
+              approval.requiresStudioApproval ? 'studio' : 'engineer'
+            }`,
+          },
+        };
+      }
+
+      const sessionWindow = bookingWindow(booking);
+      const bookingContext = await loadBookingContext(transaction, booking);
+      assertNoBookingReasons(
+        evaluateConflictReasons(bookingContext, sessionWindow, {
+          ignoreBookingId: booking.id,
+          blockingStatuses: ['confirmed'],
+        }),
+      );
+
+      const confirmation = confirmationFields(
+        bookingContext,
+        booking,
+        { ...sessionWindow, durationMinutes: booking.durationMinutes },
+        now,
+      );
+      return {
+        update: {
+          ...confirmation,
+          approval: { ...approval, resolvedBy: uid, resolvedAt: now },
+        },
+        event:
+          confirmation.status === 'confirmed'
+            ? statusChangeEvent(booking.status, 'confirmed')
+            : { type: 'note', message: 'Approved; waiting on the deposit' },
+      };
+    }),
+  );
+
+export const declineBooking = functions
+  .region('us-central1')
+  .https.onCall((data, context) =>
+    runBookingTransition(context, data, ({ booking, roles, uid, now }) => {
+      assertBookingRole(roles.isEngineer || roles.isStudioOwner, 'Only the studio or engineer can decline this booking.');
+      assertBookingStatus(booking, ['pending', 'rescheduled']);
+
+      return {
+        update: {
+          ...cancelledBookingFields(booking, uid, now, 'declined', data?.reason),
+          'approval.resolvedBy': uid,
+          'approval.resolvedAt': now,
+        },
+        event: { ...statusChangeEvent(booking.status, 'cancelled'), message: 'Request declined' },
+      };
+    }),
+  );
+
+export const cancelBooking = functions
+  .region('us-central1')
+  .https.onCall((data, context) =>
+    runBookingTransition(context, data, ({ booking, roles, uid, now }) => {
+      assertBookingStatus(booking, ['pending', 'confirmed', 'rescheduled']);
+
+      const update = cancelledBookingFields(booking, uid, now, 'cancelled', data?.reason);
+      const fee = resolveCancellationFee(booking, roles, now.toDate());
+      update.cancellation.fee = fee;
+
+      const event = statusChangeEvent(booking.status, 'cancelled');
+      if (fee?.amount > 0) {
+        event.message = `${event.message} (cancellation fee ${fee.amount.toFixed(2)} ${fee.currency})`;
+      }
+      return { update, event };
+    }),
+  );
+
+export const rescheduleBooking = functions
+  .region('us-central1')
+  .https.onCall((data, context) =>
+    runBookingTransition(context, data, async ({ transaction, booking, roles, uid, now }) => {
+      assertBookingStatus(booking, ['pending', 'confirmed', 'rescheduled']);
+
+      const request = parseBookingRequest(
+        {
+          studioId: booking.studioId,
+          roomId: booking.roomId,
+          engineerId: booking.engineerId,
+          startDate: data?.startDate,
+          durationMinutes: data?.durationMinutes ?? booking.durationMinutes,
+          notes: booking.notes,
+        },
+        { engineerOptional: booking.selfBooking === true },
+      );
+      const bookingContext = await loadBookingContext(transaction, request);
+      assertNoBookingReasons(evaluateBookingRequest(bookingContext, request, { ignoreBookingId: booking.id }));
+
+      const approval = booking.selfBooking
+        ? resolveSelfBookingApproval(bookingContext, booking.bookedBy)
+        : resolveBookingApproval(bookingContext, request.start);
+      if (roles.isStudioOwner) {
+        approval.requiresStudioApproval = false;
+      }
+      if (roles.isEngineer) {
+        approval.requiresEngineerApproval = false;
+      }
+      const confirmed = !approval.requiresStudioApproval && !approval.requiresEngineerApproval;
+      const statusFields = confirmed
+        ? confirmationFields(bookingContext, booking, request, now)
+        : {
+            status: 'pending',
+            confirmedStart: null,
+            confirmedEnd: null,
+            ...bookingPricingFields(bookingContext, request.durationMinutes, booking, false, now),
+          };
+
+      return {
+        update: {
+          ...statusFields,
+          requestedStart: Timestamp.fromDate(request.start),
+          requestedEnd: Timestamp.fromDate(request.end),
+          durationMinutes: request.durationMinutes,
+          approval: {
+            ...approval,
+            resolvedBy: confirmed ? uid : null,
+            resolvedAt: confirmed ? now : null,
+          },
+        },
+        event: {
+          type: 'reschedule',
+          message: `Rescheduled to ${request.start.toLocaleString('en-US', DATE_FORMAT_OPTIONS)}`,
+          fromStatus: booking.status,
+          toStatus: statusFields.status,
+        },
+      };
+    }),
+  );
+
+export const completeBooking = functions
+  .region('us-central1')
+  .https.onCall((data, context) =>
+    runBookingTransition(context, data, ({ booking, roles }) => {
+      assertBookingRole(roles.isEngineer || roles.isStudioOwner, 'Only the studio or engineer can complete this booking.');
+      assertBookingStatus(booking, ['confirmed']);
+      if (bookingWindow(booking).start.getTime() > Date.now()) {
+        throw new functions.https.HttpsError('failed-precondition', 'Sessions can only be completed after they start.');
+      }
+
+      return {
+        update: { status: 'completed' },
+        event: statusChangeEvent(booking.status, 'completed'),
+      };
+    }),
+  );
+
+export const sendSessionReminders = functions
+  .region('us-central1')
+  .pubsub.schedule('every 15 minutes')
+  .onRun(async () => {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + SESSION_REMINDERS[SESSION_REMINDERS.length - 1].leadMinutes * 60000);
+    const upcoming = await db
+      .collection('bookings')
+      .where('confirmedStart', '>', Timestamp.fromDate(now))
+      .where('confirmedStart', '<=', Timestamp.fromDate(horizon))
+      .get();
+
+    for (const doc of upcoming.docs) {
+      const claimed = await claimSessionReminder(doc.ref, now);
+      if (claimed) {
+        await sendSessionReminder(claimed.booking, doc.id, claimed.reminder);
+      }
+    }
     return null;
   });
 
-export const notifyBeatDownloadDecision = functions
+export const completePastSessions = functions
   .region('us-central1')
-  .firestore.document('beatDownloadRequests/{requestId}')
-  .onUpdate(async (change) => {
-    const before = change.before.data();
-    const after = change.after.data();
+  .pubsub.schedule('every 60 minutes')
+  .onRun(async () => {
+    const now = Date.now();
+    const finishedSnap = await db
+      .collection('bookings')
+      .where('status', '==', 'confirmed')
+      .where('confirmedEnd', '<=', Timestamp.fromMillis(now))
+      .get();
 
-    if (!before || !after) {
-      return null;
+    // One transaction per booking so a cancel or reschedule that lands after
+    // the query isn't overwritten.
+    for (const doc of finishedSnap.docs) {
+      await db.runTransaction(async transaction => {
+        const bookingSnap = await transaction.get(doc.ref);
+        const booking = bookingSnap.data();
+        const end = toDate(booking?.confirmedEnd || booking?.requestedEnd);
+        if (booking?.status !== 'confirmed' || !end || end.getTime() > now) {
+          return;
+        }
+        const timestamp = Timestamp.now();
+        transaction.update(doc.ref, { status: 'completed', updatedAt: timestamp });
+        transaction.set(doc.ref.collection('timelineEvents').doc(), {
+          ...statusChangeEvent('confirmed', 'completed'),
+          createdBy: SYSTEM_ACTOR_ID,
+          createdAt: timestamp,
+        });
+      });
     }
+    return null;
+  });
 
-    if (before.status === after.status) {
+export const getOpenSlots = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    if (!context.auth?.uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to view availability.');
+    }
+
+    const query = parseOpenSlotsRequest(data);
+    const sources = await loadAvailabilitySources(query);
+    const timeZone = resolveOperatingSchedule(sources.studio).timeZone;
+
+    return {
+      timeZone,
+      granularityMinutes: query.granularityMinutes,
+      durationMinutes: query.durationMinutes,
+      slots: computeOpenSlots(sources, query).map(slot => ({
+        date: slot.dateKey,
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+      })),
+    };
+  });
+
+export const snapshotStudioAvailability = functions
+  .region('us-central1')
+  .firestore.document('studios/{studioId}/availability/{entryId}')
+  .onWrite((change, context) => queueAvailabilitySnapshotRebuild('studio', context.params.studioId));
+
+export const snapshotEngineerAvailability = functions
+  .region('us-central1')
+  .firestore.document('users/{userId}/availability/{entryId}')
+  .onWrite((change, context) => queueAvailabilitySnapshotRebuild('engineer', context.params.userId));
+
+export const snapshotStudioRooms = functions
+  .region('us-central1')
+  .firestore.document('studios/{studioId}/rooms/{roomId}')
+  .onWrite((change, context) => {
+    if (change.before.exists && change.after.exists) {
       return null;
     }
+    return queueAvailabilitySnapshotRebuild('studio', context.params.studioId);
+  });
 
-    const { requesterId, producerId, beatId, status } = after;
-    if (!requesterId || requesterId === producerId) {
+export const snapshotStudioSchedule = functions
+  .region('us-central1')
+  .firestore.document('studios/{studioId}')
+  .onUpdate((change, context) => {
+    const scheduleFields = ['operatingSchedule', 'operatingHours', 'blackoutDates', 'timeZoneIdentifier'];
+    if (documentsEqual(change.before.data(), change.after.data(), scheduleFields)) {
       return null;
     }
+    return queueAvailabilitySnapshotRebuild('studio', context.params.studioId);
+  });
 
-    const beatSnap = beatId
-      ? await db.collection('users').doc(producerId).collection('beatCatalog').doc(beatId).get()
-      : null;
-    const beat = beatSnap?.exists ? beatSnap.data() || {} : {};
-    const beatTitle = after.beatTitle || beat.title || 'your requested beat';
+// Picks up owners queued by the availability triggers. Each marker is claimed before
+// its rebuild reads anything, so writes landing during the rebuild queue it again.
+export const processAvailabilitySnapshotRebuilds = functions
+  .region('us-central1')
+  .runWith({ timeoutSeconds: 300 })
+  .pubsub.schedule('every 1 minutes')
+  .onRun(async () => {
+    const pendingSnap = await db
+      .collection(AVAILABILITY_SNAPSHOT_REBUILDS_COLLECTION)
+      .where('pending', '==', true)
+      .limit(AVAILABILITY_SNAPSHOT_REBUILDS_PER_RUN)
+      .get();
+    for (const markerDoc of pendingSnap.docs) {
+      const claimed = await db.runTransaction(async transaction => {
+        const markerSnap = await transaction.get(markerDoc.ref);
+        if (markerSnap.data()?.pending !== true) {
+          return false;
+        }
+        transaction.update(markerDoc.ref, { pending: false, claimedAt: Timestamp.now() });
+        return true;
+      });
+      if (claimed) {
+        const { scope, ownerId } = markerDoc.data();
+        await rebuildAvailabilitySnapshots(scope, ownerId);
+      }
+    }
+    return null;
+  });
 
-    const requesterRef = db
-      .collection('users')
-      .doc(requesterId)
-      .collection('driveDownloadRequests')
-      .doc(change.after.id);
+export const rollAvailabilitySnapshots = functions
+  .region('us-central1')
+  .pubsub.schedule('every day 00:30')
+  .onRun(async () => {
+    const todayKey = new Date().toISOString().slice(0, 10);
+    const yesterdayKey = new Date(Date.now() - 24 * 60 * 60000).toISOString().slice(0, 10);
+    const snapshots = db.collection(AVAILABILITY_SNAPSHOTS_COLLECTION);
 
-    if (status === 'fulfilled') {
-      await requesterRef.set(buildDrivePayload(after, beatTitle), { merge: true });
+    const current = await snapshots.where('dateKey', '==', todayKey).get();
+    const owners = new Map(current.docs.map(doc => [`${doc.data().scope}_${doc.data().ownerId}`, doc.data()]));
+    for (const { scope, ownerId } of owners.values()) {
+      await rebuildAvailabilitySnapshots(scope, ownerId);
+    }
 
-      await createAlert(requesterId, {
-        title: 'Download ready',
-        message: `Files for "${beatTitle}" are ready to download.`,
-        category: 'media',
-        deeplink: null,
-      });
-    } else if (status === 'rejected') {
-      await requesterRef.set(buildDrivePayload(after, beatTitle), { merge: true });
+    const stale = await snapshots.where('dateKey', '<', yesterdayKey).get();
+    for (let index = 0; index < stale.docs.length; index += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      stale.docs.slice(index, index + MAX_BATCH_WRITES).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    return null;
+  });
 
-      await createAlert(requesterId, {
-        title: 'Download request declined',
-        message: `The producer declined your request for "${beatTitle}".`,
-        category: 'media',
-        deeplink: null,
-      });
+export const rotateCalendarFeedToken = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const userId = context.auth?.uid;
+    if (!userId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage your calendar feed.');
     }
 
-    return null;
+    const token = randomBytes(24).toString('hex');
+    await db.collection(CALENDAR_FEEDS_COLLECTION).doc(userId).set({
+      token,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    const projectId = process.env.GCLOUD_PROJECT;
+    return {
+      token,
+      url: `https://us-central1-${projectId}.cloudfunctions.net/calendarFeed?token=${token}`,
+    };
   });
 
-function buildDrivePayload(request, beatTitle) {
-  const payload = {
-    status: request.status,
-    updatedAt: request.updatedAt ?? FieldValue.serverTimestamp(),
-    producerId: request.producerId,
-    requesterId: request.requesterId,
-    beatId: request.beatId,
-  };
+export const calendarFeed = functions
+  .region('us-central1')
+  .https.onRequest(async (req, res) => {
+    if (req.method !== 'GET') {
+      res.set('Allow', 'GET').status(405).send('Method not allowed');
+      return;
+    }
 
-  if (request.createdAt) {
-    payload.createdAt = request.createdAt;
-  }
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    if (!token) {
+      res.status(401).send('Missing feed token');
+      return;
+    }
 
-  if (beatTitle) {
-    payload.beatTitle = beatTitle;
-  }
+    const feedSnap = await db.collection(CALENDAR_FEEDS_COLLECTION).where('token', '==', token).limit(1).get();
+    if (feedSnap.empty) {
+      res.status(404).send('Unknown feed');
+      return;
+    }
 
-  if (request.status === 'fulfilled' && request.downloadURL) {
-    payload.downloadURL = request.downloadURL;
-  } else {
-    payload.downloadURL = FieldValue.delete();
-  }
+    const userId = feedSnap.docs[0].id;
+    const events = await buildCalendarFeedEvents(userId);
+    res
+      .set('Content-Type', 'text/calendar; charset=utf-8')
+      .set('Cache-Control', 'private, max-age=900')
+      .status(200)
+      .send(formatCalendar({ name: 'Punch-In sessions', events }));
+  });
 
-  return payload;
-}
+export const registerCalendarImport = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const userId = context.auth?.uid;
+    if (!userId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to import a calendar.');
+    }
 
-async function ensureBookingHolds(booking, bookingId) {
-  const start = booking.confirmedStart ?? booking.requestedStart;
-  const end = booking.confirmedEnd ?? booking.requestedEnd;
-  const durationMinutes = booking.durationMinutes ?? Math.max(30, Math.round((end.toMillis() - start.toMillis()) / 60000));
+    const source = parseCalendarImportSource(data, userId);
+    const imports = db.collection('users').doc(userId).collection('calendarImports');
+    const existing = await imports.get();
+    if (existing.size >= CALENDAR_IMPORTS_MAX_PER_USER) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        `You can import up to ${CALENDAR_IMPORTS_MAX_PER_USER} calendars.`,
+      );
+    }
 
-  const studioEntry = {
-    kind: 'bookingHold',
+    const label = typeof data?.label === 'string' && data.label.trim() ? data.label.trim().slice(0, 80) : 'Imported calendar';
+    const importRef = imports.doc();
+    await importRef.set({
+      ...source,
+      label,
+      status: 'pending',
+      lastError: null,
+      lastSyncedAt: null,
+      eventCount: 0,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return { importId: importRef.id };
+  });
+
+export const removeCalendarImport = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const userId = context.auth?.uid;
+    if (!userId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage imported calendars.');
+    }
+    const importId = typeof data?.importId === 'string' ? data.importId : '';
+    if (!importId) {
+      throw new functions.https.HttpsError('invalid-argument', 'importId is required.');
+    }
+
+    const importRef = db.collection('users').doc(userId).collection('calendarImports').doc(importId);
+    const importSnap = await importRef.get();
+    if (!importSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Calendar import not found.');
+    }
+
+    const entries = await db
+      .collection('users')
+      .doc(userId)
+      .collection('availability')
+      .where('source.importId', '==', importId)
+      .get();
+    await commitInBatches(entries.docs.map(doc => batch => batch.delete(doc.ref)));
+    await importRef.delete();
+    return { importId, removed: entries.size };
+  });
+
+export const syncNewCalendarImport = functions
+  .region('us-central1')
+  .firestore.document('users/{userId}/calendarImports/{importId}')
+  .onCreate(snap => syncCalendarImport(snap));
+
+export const syncCalendarImports = functions
+  .region('us-central1')
+  .pubsub.schedule('every 60 minutes')
+  .onRun(async () => {
+    const importsSnap = await db.collectionGroup('calendarImports').get();
+    for (const importSnap of importsSnap.docs) {
+      await syncCalendarImport(importSnap);
+    }
+    return null;
+  });
+
+export const joinWaitlist = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const artistId = context.auth?.uid;
+    if (!artistId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to join a waitlist.');
+    }
+
+    const request = parseWaitlistRequest(data);
+    const [studioSnap, activeSnap] = await Promise.all([
+      db.collection('studios').doc(request.studioId).get(),
+      db.collection(WAITLIST_COLLECTION).where('artistId', '==', artistId).get(),
+    ]);
+    if (!studioSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Studio not found.');
+    }
+    const activeCount = activeSnap.docs.filter(doc => ['waiting', 'held'].includes(doc.data().status)).length;
+    if (activeCount >= WAITLIST_MAX_ACTIVE_PER_USER) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        `You can be on at most ${WAITLIST_MAX_ACTIVE_PER_USER} waitlists at a time.`,
+      );
+    }
+
+    const entryRef = db.collection(WAITLIST_COLLECTION).doc();
+    await entryRef.set({
+      artistId,
+      studioId: request.studioId,
+      roomId: request.roomId,
+      engineerId: request.engineerId,
+      windowStart: Timestamp.fromDate(request.windowStart),
+      windowEnd: Timestamp.fromDate(request.windowEnd),
+      autoHold: request.autoHold,
+      status: 'waiting',
+      hold: null,
+      lastNotifiedAt: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { entryId: entryRef.id };
+  });
+
+export const leaveWaitlist = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const artistId = context.auth?.uid;
+    if (!artistId) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage your waitlists.');
+    }
+    const entryId = typeof data?.entryId === 'string' ? data.entryId : '';
+    if (!entryId) {
+      throw new functions.https.HttpsError('invalid-argument', 'entryId is required.');
+    }
+
+    const entrySnap = await db.collection(WAITLIST_COLLECTION).doc(entryId).get();
+    if (!entrySnap.exists || entrySnap.data().artistId !== artistId) {
+      throw new functions.https.HttpsError('not-found', 'Waitlist entry not found.');
+    }
+
+    const entry = { id: entrySnap.id, ...entrySnap.data() };
+    if (entry.status === 'held') {
+      await releaseWaitlistHold(entry, 'cancelled');
+      await offerSlotToWaitlist(waitlistHoldSlot(entry));
+    } else if (entry.status === 'waiting') {
+      await entrySnap.ref.update({ status: 'cancelled', updatedAt: FieldValue.serverTimestamp() });
+    }
+    return { entryId, status: 'cancelled' };
+  });
+
+export const offerFreedBookingSlots = functions
+  .region('us-central1')
+  .firestore.document('bookings/{bookingId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    if (!before || !ACTIVE_BOOKING_STATUSES.includes(before.status)) {
+      return null;
+    }
+
+    const freedWindow = bookingWindow(before);
+    if (!freedWindow.start || !freedWindow.end) {
+      return null;
+    }
+    // A reschedule in the same room only frees the part of the old window the new one doesn't cover.
+    const afterWindow = after && ACTIVE_BOOKING_STATUSES.includes(after.status) ? bookingWindow(after) : null;
+    const activeWindow = afterWindow?.start && afterWindow?.end ? afterWindow : null;
+    const stillBooked = activeWindow && after.roomId === before.roomId ? [activeWindow] : [];
+    const pieces = subtractIntervals([{ start: freedWindow.start, end: freedWindow.end }], stillBooked);
+    for (const piece of pieces) {
+      await offerSlotToWaitlist({ ...freedWindow, ...piece, bookingId: context.params.bookingId, activeWindow });
+    }
+    return null;
+  });
+
+export const expireWaitlistHolds = functions
+  .region('us-central1')
+  .pubsub.schedule('every 5 minutes')
+  .onRun(async () => {
+    const now = new Date();
+    const heldSnap = await db.collection(WAITLIST_COLLECTION).where('status', '==', 'held').get();
+    for (const doc of heldSnap.docs) {
+      const entry = { id: doc.id, ...doc.data() };
+      if (toDate(entry.hold?.expiresAt) > now) {
+        continue;
+      }
+      await releaseWaitlistHold(entry, 'expired');
+      await createAlert(entry.artistId, {
+        title: 'Waitlist hold expired',
+        message: 'The session we held for you was released to the next artist on the waitlist.',
+        category: 'booking',
+        deeplink: waitlistDeeplink(entry, waitlistHoldSlot(entry)),
+      });
+      await offerSlotToWaitlist(waitlistHoldSlot(entry));
+    }
+
+    const pastSnap = await db.collection(WAITLIST_COLLECTION).where('windowEnd', '<', Timestamp.fromDate(now)).get();
+    const stale = pastSnap.docs.filter(doc => doc.data().status === 'waiting');
+    await commitInBatches(
+      stale.map(doc => batch => batch.update(doc.ref, { status: 'expired', updatedAt: FieldValue.serverTimestamp() })),
+    );
+    return null;
+  });
+
+export const syncEngineerMembership = functions
+  .region('us-central1')
+  .firestore.document('studios/{studioId}/engineerRequests/{requestId}')
+  .onWrite(async (change, context) => {
+    const { studioId, requestId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const previousStatus = before?.status ?? null;
+    const status = after?.status ?? null;
+    if (previousStatus === status) {
+      return null;
+    }
+
+    const engineerId = after?.engineerId || before?.engineerId || requestId;
+    const studioRef = db.collection('studios').doc(studioId);
+    const relationshipRef = db.collection('studioEngineerRelationships').doc(`${studioId}_${engineerId}`);
+    const [studioSnap, engineerSnap] = await Promise.all([
+      studioRef.get(),
+      db.collection('users').doc(engineerId).get(),
+    ]);
+    if (!studioSnap.exists) {
+      return relationshipRef.delete();
+    }
+
+    const studio = studioSnap.data();
+    const engineer = engineerSnap.data() || {};
+    const studioName = studio.name || 'the studio';
+    const engineerName = engineer.displayName || engineer.username || 'An engineer';
+    const deeplink = `punchin://studios/${studioId}`;
+
+    if (status === 'pending' || status === 'accepted') {
+      const relationshipSnap = await relationshipRef.get();
+      await relationshipRef.set(
+        {
+          studioId,
+          engineerId,
+          role: status === 'accepted' ? 'member' : 'pending',
+          isPrimary: resolveEngineerSettings(engineer).mainStudioId === studioId,
+          ...(relationshipSnap.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+    } else {
+      await relationshipRef.delete();
+    }
+
+    await studioRef.update({
+      approvedEngineerIds:
+        status === 'accepted' ? FieldValue.arrayUnion(engineerId) : FieldValue.arrayRemove(engineerId),
+    });
+
+    if (status === 'accepted') {
+      await clearMembershipReviews(studioId, engineerId);
+      await Promise.all([
+        createAlert(engineerId, {
+          title: 'Studio request accepted',
+          message: `You're now an engineer at ${studioName}.`,
+          category: 'studio',
+          deeplink,
+        }),
+        createAlert(studio.ownerId, {
+          title: 'Engineer added',
+          message: `${engineerName} is now an engineer at ${studioName}.`,
+          category: 'studio',
+          deeplink,
+        }),
+      ]);
+      return null;
+    }
+
+    if (previousStatus === 'accepted') {
+      const flaggedCount = await flagBookingsForMembershipReview(studioId, engineerId);
+      const reviewNote = flaggedCount > 0 ? ` ${flaggedCount} upcoming session(s) need review.` : '';
+      await Promise.all([
+        createAlert(engineerId, {
+          title: 'Studio membership removed',
+          message: `You're no longer an engineer at ${studioName}.${reviewNote}`,
+          category: 'studio',
+          deeplink,
+        }),
+        createAlert(studio.ownerId, {
+          title: 'Engineer removed',
+          message: `${engineerName} is no longer an engineer at ${studioName}.${reviewNote}`,
+          category: 'studio',
+          deeplink,
+        }),
+      ]);
+      return null;
+    }
+
+    if (status === 'denied') {
+      await Promise.all([
+        createAlert(engineerId, {
+          title: 'Studio request declined',
+          message: `${studioName} declined your request to join as an engineer.`,
+          category: 'studio',
+          deeplink,
+        }),
+        createAlert(studio.ownerId, {
+          title: 'Engineer request declined',
+          message: `You declined ${engineerName}'s request to join ${studioName}.`,
+          category: 'studio',
+          deeplink,
+        }),
+      ]);
+    }
+    return null;
+  });
+
+// Keeps the per-day main-studio record on the relationship docs: the new main
+// studio gets `isPrimary`, `lastMainStudioAt` and the local day the switch
+// applies from; the previous main studio loses `isPrimary`.
+export const recordMainStudioSelection = functions
+  .region('us-central1')
+  .firestore.document('users/{userId}')
+  .onUpdate(async (change, context) => {
+    const userId = context.params.userId;
+    const before = resolveEngineerSettings(change.before.data());
+    const after = resolveEngineerSettings(change.after.data());
+    const selectedAtChanged =
+      toDate(before.mainStudioSelectedAt)?.getTime() !== toDate(after.mainStudioSelectedAt)?.getTime();
+    if (before.mainStudioId === after.mainStudioId && !selectedAtChanged) {
+      return null;
+    }
+
+    const relationships = db.collection('studioEngineerRelationships');
+    const writes = [];
+    if (before.mainStudioId && before.mainStudioId !== after.mainStudioId) {
+      const previousSnap = await relationships.doc(`${before.mainStudioId}_${userId}`).get();
+      if (previousSnap.exists) {
+        writes.push(previousSnap.ref.update({ isPrimary: false, updatedAt: FieldValue.serverTimestamp() }));
+      }
+    }
+
+    if (after.mainStudioId) {
+      const [relationshipSnap, studioSnap] = await Promise.all([
+        relationships.doc(`${after.mainStudioId}_${userId}`).get(),
+        db.collection('studios').doc(after.mainStudioId).get(),
+      ]);
+      if (relationshipSnap.exists) {
+        const selectedAt = toDate(after.mainStudioSelectedAt) || new Date();
+        const timeZone = resolveOperatingSchedule(studioSnap.data()).timeZone;
+        writes.push(
+          relationshipSnap.ref.update({
+            isPrimary: true,
+            lastMainStudioAt: Timestamp.fromDate(selectedAt),
+            mainStudioDateKey: zonedDateParts(selectedAt, timeZone).dateKey,
+            updatedAt: FieldValue.serverTimestamp(),
+          }),
+        );
+      }
+    }
+
+    await Promise.all(writes);
+    return null;
+  });
+
+export const createBookingPayment = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to pay for a booking.');
+    }
+
+    const bookingId = data?.bookingId;
+    if (typeof bookingId !== 'string' || !bookingId) {
+      throw new functions.https.HttpsError('invalid-argument', 'bookingId is required.');
+    }
+    const kind = data?.kind ?? 'deposit';
+    if (!['deposit', 'balance'].includes(kind)) {
+      throw new functions.https.HttpsError('invalid-argument', 'kind must be deposit or balance.');
+    }
+
+    const bookingSnap = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Booking not found.');
+    }
+    const booking = bookingSnap.data();
+    if (booking.artistId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the artist can pay for this booking.');
+    }
+
+    const amount = resolvePaymentAmount(booking, kind);
+    if (!(amount > 0)) {
+      throw new functions.https.HttpsError('failed-precondition', 'Nothing is due for this booking right now.');
+    }
+
+    // One payment per booking, kind and amount. The doc is reserved in a transaction and
+    // its id doubles as the provider's idempotency key, so retries and concurrent calls
+    // all end up with the same intent.
+    const paymentRef = db.collection(PAYMENTS_COLLECTION).doc(`${bookingId}_${kind}_${amount}`);
+    const currency = booking.pricing.currency;
+    const reserved = await db.runTransaction(async transaction => {
+      const paymentSnap = await transaction.get(paymentRef);
+      const now = Timestamp.now();
+      if (!paymentSnap.exists) {
+        const payment = {
+          bookingId,
+          studioId: booking.studioId,
+          payerId: uid,
+          kind,
+          amount,
+          currency,
+          provider: payments.name,
+          providerIntentId: null,
+          clientSecret: null,
+          status: 'creating',
+          amountRefunded: 0,
+          refunds: [],
+          failureMessage: null,
+          createdAt: now,
+          updatedAt: now,
+        };
+        transaction.set(paymentRef, payment);
+        return payment;
+      }
+
+      const payment = paymentSnap.data();
+      if (payment.status === 'succeeded') {
+        throw new functions.https.HttpsError('failed-precondition', 'This payment has already been made.');
+      }
+      // A declined card leaves the intent open, so the artist retries on the same one.
+      if (payment.status === 'failed') {
+        transaction.update(paymentRef, { status: 'requires_payment', failureMessage: null, updatedAt: now });
+        return { ...payment, status: 'requires_payment', failureMessage: null };
+      }
+      return payment;
+    });
+    if (reserved.clientSecret) {
+      return paymentResponse(paymentRef.id, reserved);
+    }
+
+    let intent;
+    try {
+      intent = await payments.createPaymentIntent({
+        amount,
+        currency,
+        metadata: { bookingId, paymentId: paymentRef.id, kind },
+        idempotencyKey: paymentRef.id,
+      });
+    } catch (error) {
+      throw new functions.https.HttpsError('unavailable', 'The payment provider is unavailable. Try again shortly.');
+    }
+
+    const update = {
+      providerIntentId: intent.id,
+      clientSecret: intent.clientSecret,
+      status: 'requires_payment',
+      updatedAt: Timestamp.now(),
+    };
+    await paymentRef.update(update);
+    return paymentResponse(paymentRef.id, { ...reserved, ...update });
+  });
+
+// Providers retry until they get a 2xx, so each event is recorded in
+// `paymentEvents` and applied at most once.
+export const paymentsWebhook = functions
+  .region('us-central1')
+  .https.onRequest(async (req, res) => {
+    if (req.method !== 'POST') {
+      res.set('Allow', 'POST').status(405).send('Method not allowed');
+      return;
+    }
+
+    let event;
+    try {
+      event = payments.verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+      res.status(400).send('Invalid signature');
+      return;
+    }
+    if (event.type === 'subscription.updated' && event.id) {
+      await applySubscriptionEvent(event);
+      res.status(200).send('OK');
+      return;
+    }
+    if (event.type === 'ignored' || !event.id || !event.paymentIntentId) {
+      res.status(200).send('Ignored');
+      return;
+    }
+
+    try {
+      await applyPaymentEvent(event);
+    } catch (error) {
+      // Recorded events keep `refundPending` until their refund goes through,
+      // so the provider's retry finishes it.
+      res.status(500).send('Retry');
+      return;
+    }
+    res.status(200).send('OK');
+  });
+
+export const refundCancelledBooking = functions
+  .region('us-central1')
+  .firestore.document('bookings/{bookingId}')
+  .onUpdate((change, context) => {
+    if (change.before.data().status === 'cancelled' || change.after.data().status !== 'cancelled') {
+      return null;
+    }
+    return refundBookingPayments(context.params.bookingId);
+  });
+
+// Bookings confirmed straight from the app skip `confirmationFields`, so an
+// unpaid deposit sends them back to pending here.
+export const enforceBookingDeposit = functions
+  .region('us-central1')
+  .firestore.document('bookings/{bookingId}')
+  .onWrite(change => {
+    if (!change.after.exists || change.after.data().status !== 'confirmed') {
+      return null;
+    }
+    if (change.before.exists && change.before.data().status === 'confirmed') {
+      return null;
+    }
+
+    return db.runTransaction(async transaction => {
+      const bookingSnap = await transaction.get(change.after.ref);
+      const booking = bookingSnap.data();
+      if (!booking || booking.status !== 'confirmed' || !(booking.pricing?.total > 0)) {
+        return null;
+      }
+      const studioSnap = await transaction.get(db.collection('studios').doc(booking.studioId));
+      const payment = resolveDepositRequirement(studioSnap.data(), booking);
+      if (!payment) {
+        return null;
+      }
+
+      const now = Timestamp.now();
+      transaction.update(change.after.ref, {
+        status: 'pending',
+        confirmedStart: null,
+        confirmedEnd: null,
+        payment,
+        updatedAt: now,
+      });
+      transaction.set(change.after.ref.collection('timelineEvents').doc(), {
+        ...statusChangeEvent(booking.status, 'pending'),
+        message: 'Waiting on the deposit before confirming',
+        createdBy: SYSTEM_ACTOR_ID,
+        createdAt: now,
+      });
+      return null;
+    });
+  });
+
+export const setEngineerRevenueShare = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage revenue shares.');
+    }
+
+    const { studioId, engineerId } = data || {};
+    const engineerSharePercent = Number(data?.engineerSharePercent);
+    if (typeof studioId !== 'string' || !studioId || typeof engineerId !== 'string' || !engineerId) {
+      throw new functions.https.HttpsError('invalid-argument', 'studioId and engineerId are required.');
+    }
+    if (!Number.isFinite(engineerSharePercent) || engineerSharePercent < 0 || engineerSharePercent > 100) {
+      throw new functions.https.HttpsError('invalid-argument', 'engineerSharePercent must be between 0 and 100.');
+    }
+
+    const relationshipRef = db.collection('studioEngineerRelationships').doc(`${studioId}_${engineerId}`);
+    const [studioSnap, relationshipSnap] = await Promise.all([
+      db.collection('studios').doc(studioId).get(),
+      relationshipRef.get(),
+    ]);
+    if (!studioSnap.exists || studioSnap.data().ownerId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the studio owner can set revenue shares.');
+    }
+    if (!relationshipSnap.exists || relationshipSnap.data().role !== 'member') {
+      throw new functions.https.HttpsError('failed-precondition', "That engineer isn't a member of this studio.");
+    }
+
+    await relationshipRef.update({ engineerSharePercent, updatedAt: FieldValue.serverTimestamp() });
+    await createAlert(engineerId, {
+      title: 'Revenue share updated',
+      message: `${studioSnap.data().name || 'Your studio'} now pays you ${engineerSharePercent}% of session revenue.`,
+      category: 'studio',
+      deeplink: `punchin://studios/${studioId}`,
+    });
+    return { studioId, engineerId, engineerSharePercent };
+  });
+
+export const recordPaymentLedger = functions
+  .region('us-central1')
+  .firestore.document(`${PAYMENTS_COLLECTION}/{paymentId}`)
+  .onWrite(async (change, context) => {
+    const { paymentId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const knownRefunds = new Set((before?.refunds || []).map(refund => refund.id));
+    const newRefunds = (after?.refunds || []).filter(refund => !knownRefunds.has(refund.id));
+    const succeeded = before?.status !== 'succeeded' && after?.status === 'succeeded';
+    if (!succeeded && newRefunds.length === 0) {
+      return null;
+    }
+    // Older payments were written without `studioId`; their booking still has it.
+    const studioId =
+      after.studioId ?? (await db.collection('bookings').doc(after.bookingId).get()).data()?.studioId ?? null;
+    if (!studioId) {
+      return null;
+    }
+    const studioOwnerId = async transaction =>
+      (await transaction.get(db.collection('studios').doc(studioId))).data()?.ownerId ?? null;
+
+    if (succeeded) {
+      await postLedgerTransaction(`payment_${paymentId}`, async transaction => {
+        const ownerId = await studioOwnerId(transaction);
+        return {
+          type: 'payment',
+          bookingId: after.bookingId,
+          studioId,
+          currency: after.currency,
+          memo: `${after.kind === 'deposit' ? 'Deposit' : 'Payment'} received`,
+          lines: [
+            { account: ledgerAccount('cash', studioId), userId: ownerId, debit: after.amount },
+            { account: ledgerAccount('booking', after.bookingId), credit: after.amount },
+          ],
+        };
+      });
+      // Balances paid after the session (or money landing on a cancelled booking) are earned straight away.
+      await recognizeBookingEarnings(after.bookingId, `earned_${paymentId}`);
+    }
+
+    for (const refund of newRefunds) {
+      await postLedgerTransaction(`refund_${refund.id}`, async transaction => {
+        const ownerId = await studioOwnerId(transaction);
+        return {
+          type: 'refund',
+          bookingId: after.bookingId,
+          studioId,
+          currency: after.currency,
+          memo: 'Refund to artist',
+          lines: [
+            { account: ledgerAccount('booking', after.bookingId), debit: refund.amount },
+            { account: ledgerAccount('cash', studioId), userId: ownerId, credit: refund.amount },
+          ],
+        };
+      });
+    }
+    return null;
+  });
+
+export const recordBookingLedger = functions
+  .region('us-central1')
+  .firestore.document('bookings/{bookingId}')
+  .onUpdate((change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (before.status === after.status || !['completed', 'cancelled'].includes(after.status)) {
+      return null;
+    }
+    return recognizeBookingEarnings(context.params.bookingId, `earned_${context.params.bookingId}_${after.status}`);
+  });
+
+// Studio owners record what they've paid out to their engineers (or drawn
+// themselves); payouts can't exceed what the user earned at that studio.
+export const recordPayout = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to record payouts.');
+    }
+
+    const { studioId, userId } = data || {};
+    const amount = roundCurrency(Number(data?.amount));
+    const reference = typeof data?.reference === 'string' ? data.reference.trim().slice(0, 200) : '';
+    if (typeof studioId !== 'string' || !studioId || typeof userId !== 'string' || !userId) {
+      throw new functions.https.HttpsError('invalid-argument', 'studioId and userId are required.');
+    }
+    if (!(amount > 0)) {
+      throw new functions.https.HttpsError('invalid-argument', 'amount must be greater than zero.');
+    }
+
+    const studioSnap = await db.collection('studios').doc(studioId).get();
+    if (!studioSnap.exists || studioSnap.data().ownerId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the studio owner can record payouts.');
+    }
+
+    const entryRef = db.collection(LEDGER_ENTRIES_COLLECTION).doc();
+    await db.runTransaction(async transaction => {
+      const accountRef = db.collection(LEDGER_ACCOUNTS_COLLECTION).doc(ledgerAccount('earnings', userId));
+      const accountSnap = await transaction.get(accountRef);
+      const available = roundCurrency(accountSnap.data()?.byStudio?.[studioId] ?? 0);
+      if (amount > available) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Only ${available.toFixed(2)} is owed to that user at this studio.`,
+        );
+      }
+      writeLedgerEntry(transaction, entryRef, {
+        type: 'payout',
+        bookingId: null,
+        studioId,
+        currency: accountSnap.data().currency,
+        memo: reference ? `Payout: ${reference}` : 'Payout',
+        createdBy: uid,
+        lines: [
+          { account: ledgerAccount('earnings', userId), userId, debit: amount },
+          { account: ledgerAccount('cash', studioId), userId: uid, credit: amount },
+        ],
+      });
+    });
+
+    if (userId !== uid) {
+      await createAlert(userId, {
+        title: 'Payout recorded',
+        message: `${studioSnap.data().name || 'Your studio'} paid you ${amount.toFixed(2)}.`,
+        category: 'studio',
+        deeplink: 'punchin://earnings',
+      });
+    }
+    return { entryId: entryRef.id, amount };
+  });
+
+export const getLedgerStatement = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to view your statement.');
+    }
+
+    const from = parseDateInput(data?.from);
+    const to = parseDateInput(data?.to) || new Date();
+    if (!from || from >= to) {
+      throw new functions.https.HttpsError('invalid-argument', 'Provide a valid from/to range.');
+    }
+    const studioId = typeof data?.studioId === 'string' && data.studioId ? data.studioId : null;
+
+    const account = ledgerAccount('earnings', uid);
+    const [accountSnap, entriesSnap] = await Promise.all([
+      db.collection(LEDGER_ACCOUNTS_COLLECTION).doc(account).get(),
+      db
+        .collection(LEDGER_ENTRIES_COLLECTION)
+        .where('userIds', 'array-contains', uid)
+        .where('createdAt', '>=', Timestamp.fromDate(from))
+        .orderBy('createdAt')
+        .get(),
+    ]);
+    const accountData = accountSnap.data() || {};
+    const balance = studioId ? accountData.byStudio?.[studioId] ?? 0 : accountData.balance ?? 0;
+
+    // Walk back from the current balance: anything after `to` is undone first,
+    // then the in-range entries give the opening balance.
+    const entries = entriesSnap.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(entry => !studioId || entry.studioId === studioId)
+      .map(entry => ({ entry, amount: ledgerAccountChange(entry, account) }))
+      .filter(({ amount }) => amount !== 0);
+    const inRange = entries.filter(({ entry }) => toDate(entry.createdAt) < to);
+    const afterRange = entries.filter(({ entry }) => toDate(entry.createdAt) >= to);
+    const closingBalance = roundCurrency(balance - afterRange.reduce((sum, { amount }) => sum + amount, 0));
+    const openingBalance = roundCurrency(closingBalance - inRange.reduce((sum, { amount }) => sum + amount, 0));
+
+    return {
+      userId: uid,
+      studioId,
+      currency: accountData.currency ?? 'USD',
+      from: from.toISOString(),
+      to: to.toISOString(),
+      openingBalance,
+      closingBalance,
+      earned: roundCurrency(inRange.filter(({ amount }) => amount > 0).reduce((sum, { amount }) => sum + amount, 0)),
+      paidOut: roundCurrency(-inRange.filter(({ amount }) => amount < 0).reduce((sum, { amount }) => sum + amount, 0)),
+      entries: inRange.map(({ entry, amount }) => ({
+        id: entry.id,
+        type: entry.type,
+        bookingId: entry.bookingId ?? null,
+        studioId: entry.studioId ?? null,
+        memo: entry.memo ?? null,
+        amount,
+        createdAt: toDate(entry.createdAt).toISOString(),
+      })),
+    };
+  });
+
+// Re-rolls the last few local days (bookings keep completing or cancelling
+// after the fact) and the month(s) they fall in for every studio. The schedule
+// only drops a `studioReportRuns` marker per studio; each one rolls up on its own.
+export const rollupStudioReports = functions
+  .region('us-central1')
+  .runWith({ timeoutSeconds: 300 })
+  .pubsub.schedule('every day 01:00')
+  .onRun(async () => {
+    const runKey = new Date().toISOString().slice(0, 10);
+    let lastStudio = null;
+    for (;;) {
+      let query = db.collection('studios').orderBy(FieldPath.documentId()).select().limit(MAX_BATCH_WRITES);
+      if (lastStudio) {
+        query = query.startAfter(lastStudio);
+      }
+      const studiosSnap = await query.get();
+      if (studiosSnap.empty) {
+        return null;
+      }
+      await commitInBatches(
+        studiosSnap.docs.map(studioDoc => batch =>
+          batch.set(db.collection(STUDIO_REPORT_RUNS_COLLECTION).doc(`${runKey}_${studioDoc.id}`), {
+            studioId: studioDoc.id,
+            createdAt: FieldValue.serverTimestamp(),
+          }),
+        ),
+      );
+      lastStudio = studiosSnap.docs[studiosSnap.size - 1];
+    }
+  });
+
+export const rollupStudioReportRun = functions
+  .region('us-central1')
+  .runWith({ timeoutSeconds: 120 })
+  .firestore.document(`${STUDIO_REPORT_RUNS_COLLECTION}/{runId}`)
+  .onCreate(async snapshot => {
+    const studioSnap = await db.collection('studios').doc(snapshot.data().studioId).get();
+    if (studioSnap.exists) {
+      await rollupStudioReport(studioSnap);
+    }
+    await snapshot.ref.delete();
+    return null;
+  });
+
+export const getStudioReport = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to view studio reports.');
+    }
+
+    const { studioId } = data || {};
+    if (typeof studioId !== 'string' || !studioId) {
+      throw new functions.https.HttpsError('invalid-argument', 'studioId is required.');
+    }
+    const rangeStart = parseDateInput(data.startDate);
+    const rangeEnd = parseDateInput(data.endDate);
+    if (!rangeStart || !rangeEnd || rangeEnd <= rangeStart) {
+      throw new functions.https.HttpsError('invalid-argument', 'startDate and endDate must describe a valid range.');
+    }
+    if (rangeEnd.getTime() - rangeStart.getTime() > STUDIO_REPORT_MAX_RANGE_DAYS * 24 * 60 * 60000) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Reports can cover at most ${STUDIO_REPORT_MAX_RANGE_DAYS} days at a time.`,
+      );
+    }
+    const format = data.format ?? 'json';
+    if (!['json', 'csv'].includes(format)) {
+      throw new functions.https.HttpsError('invalid-argument', 'format must be json or csv.');
+    }
+
+    const studioSnap = await db.collection('studios').doc(studioId).get();
+    if (!studioSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Studio not found.');
+    }
+    if (studioSnap.data().ownerId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the studio owner can view reports.');
+    }
+
+    const sources = await loadStudioReportSources(studioSnap, { start: rangeStart, end: rangeEnd });
+    const days = localDays(rangeStart, rangeEnd, sources.schedule.timeZone);
+    const dayReports = days.map(day => buildStudioDayReport(sources, day));
+    const report = {
+      studioId,
+      timeZone: sources.schedule.timeZone,
+      startDate: days[0].dateKey,
+      endDate: days[days.length - 1].dateKey,
+      ...combineStudioReports(dayReports),
+      days: dayReports.map(({ dateKey, totals }) => ({ dateKey, totals })),
+    };
+
+    if (format === 'csv') {
+      const engineerNames = await loadDisplayNames(Object.keys(report.totals.engineers));
+      return {
+        fileName: `${studioId}-${report.startDate}-${report.endDate}.csv`,
+        contentType: 'text/csv',
+        csv: formatStudioReportCsv(report, dayReports, sources.rooms, engineerNames),
+      };
+    }
+    return report;
+  });
+
+export const syncVideoProjectHold = functions
+  .region('us-central1')
+  .firestore.document(`${VIDEO_PROJECT_REQUESTS_COLLECTION}/{requestId}`)
+  .onWrite(async (change, context) => {
+    const { requestId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    if (after?.status !== 'scheduled') {
+      if (before?.status === 'scheduled' || after?.status === 'declined') {
+        await removeVideoProjectHold(before || after, requestId);
+      }
+      return null;
+    }
+
+    const unchanged =
+      before?.status === 'scheduled' &&
+      before.videographerId === after.videographerId &&
+      before.durationMinutes === after.durationMinutes &&
+      toDate(before.startDate)?.getTime() === toDate(after.startDate)?.getTime();
+    if (unchanged) {
+      return null;
+    }
+    if (before?.status === 'scheduled' && before.videographerId !== after.videographerId) {
+      await removeVideoProjectHold(before, requestId);
+    }
+    return ensureVideoProjectHold(after, requestId);
+  });
+
+// Videographers send quotes and requesters send counter-offers through the same
+// callable; each one is kept as an immutable entry under `quotes`.
+export const proposeVideoProjectQuote = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to send a quote.');
+    }
+    const requestRef = videoProjectRequestRef(data?.requestId);
+
+    const result = await db.runTransaction(async transaction => {
+      const requestSnap = await transaction.get(requestRef);
+      if (!requestSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Video project request not found.');
+      }
+      const request = requestSnap.data();
+      const role = videoProjectRole(request, uid);
+      const allowedStatuses =
+        role === 'videographer' ? ['pending', 'awaitingRequesterDecision'] : ['awaitingRequesterDecision'];
+      if (!allowedStatuses.includes(request.status)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          role === 'videographer' ? 'This request can no longer be quoted.' : 'There is no quote to counter right now.',
+        );
+      }
+
+      const now = Timestamp.now();
+      const terms = parseVideoProjectQuote(data, request);
+      const quoteRef = requestRef.collection(VIDEO_PROJECT_QUOTES_SUBCOLLECTION).doc();
+      const quote = {
+        ...terms,
+        kind: role === 'videographer' ? 'quote' : 'counter',
+        authorId: uid,
+        authorRole: role,
+        previousQuoteId: request.currentQuoteId ?? null,
+        sequence: (request.quoteCount ?? 0) + 1,
+        createdAt: now,
+      };
+      transaction.set(quoteRef, quote);
+      transaction.update(requestRef, {
+        ...videoProjectTermsFields(quote),
+        status: role === 'videographer' ? 'awaitingRequesterDecision' : 'pending',
+        currentQuoteId: quoteRef.id,
+        quoteCount: quote.sequence,
+        ...(role === 'videographer' ? { videographerRespondedAt: now } : {}),
+        updatedAt: now,
+      });
+      return { request, quote, quoteId: quoteRef.id };
+    });
+
+    await announceVideoProjectQuote(requestRef.id, result.request, result.quote, uid);
+    return {
+      requestId: requestRef.id,
+      quoteId: result.quoteId,
+      status: result.quote.kind === 'quote' ? 'awaitingRequesterDecision' : 'pending',
+    };
+  });
+
+export const acceptVideoProjectQuote = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to accept a quote.');
+    }
+    const requestRef = videoProjectRequestRef(data?.requestId);
+    const quoteId = data?.quoteId;
+    if (typeof quoteId !== 'string' || !quoteId) {
+      throw new functions.https.HttpsError('invalid-argument', 'quoteId is required.');
+    }
+
+    const result = await db.runTransaction(async transaction => {
+      const [requestSnap, quoteSnap] = await Promise.all([
+        transaction.get(requestRef),
+        transaction.get(requestRef.collection(VIDEO_PROJECT_QUOTES_SUBCOLLECTION).doc(quoteId)),
+      ]);
+      if (!requestSnap.exists || !quoteSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Quote not found.');
+      }
+      const request = requestSnap.data();
+      const quote = quoteSnap.data();
+      videoProjectRole(request, uid);
+      if (quote.authorId === uid) {
+        throw new functions.https.HttpsError('failed-precondition', "You can't accept your own offer.");
+      }
+      const expectedStatus = quote.authorRole === 'videographer' ? 'awaitingRequesterDecision' : 'pending';
+      if (request.currentQuoteId !== quoteId || request.status !== expectedStatus) {
+        throw new functions.https.HttpsError('failed-precondition', 'That offer is no longer open.');
+      }
+
+      const conflictIds = await videoProjectConflictIds(
+        transaction,
+        { ...request, startDate: quote.startDate, durationMinutes: quote.durationMinutes },
+        requestRef.id,
+      );
+      if (conflictIds.length > 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          "That time overlaps something on the videographer's calendar.",
+          { conflictIds },
+        );
+      }
+
+      const now = Timestamp.now();
+      transaction.update(requestRef, {
+        ...videoProjectTermsFields(quote),
+        status: 'scheduled',
+        acceptedQuoteId: quoteId,
+        decisionAt: now,
+        decisionBy: uid,
+        requesterApprovedQuoteAt: now,
+        conflict: FieldValue.delete(),
+        updatedAt: now,
+      });
+      return { request, quote };
+    });
+
+    await announceVideoProjectQuote(requestRef.id, result.request, { ...result.quote, kind: 'accepted' }, uid);
+    return { requestId: requestRef.id, quoteId, status: 'scheduled' };
+  });
+
+// The app can still re-quote by writing the request directly; record those
+// offers too so the history stays complete.
+export const recordDirectVideoProjectQuote = functions
+  .region('us-central1')
+  .firestore.document(`${VIDEO_PROJECT_REQUESTS_COLLECTION}/{requestId}`)
+  .onUpdate(async change => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const termsChanged = !documentsEqual(before, after, ['quotedHourlyRate', 'startDate', 'durationMinutes', 'shootLocations']);
+    // Only the videographer's own edits are quotes: the app stamps `videographerRespondedAt`
+    // on each of them, while `conflict` is only ever written by `ensureVideoProjectHold`.
+    const byVideographer = !documentsEqual(before, after, ['videographerRespondedAt']);
+    const conflictChanged = !documentsEqual(before, after, ['conflict']);
+    if (
+      after.status !== 'awaitingRequesterDecision' ||
+      before.currentQuoteId !== after.currentQuoteId ||
+      !byVideographer ||
+      conflictChanged ||
+      (before.status === after.status && !termsChanged)
+    ) {
+      return null;
+    }
+
+    const quoteRef = change.after.ref.collection(VIDEO_PROJECT_QUOTES_SUBCOLLECTION).doc();
+    const quote = await db.runTransaction(async transaction => {
+      const requestSnap = await transaction.get(change.after.ref);
+      const request = requestSnap.data();
+      if (!request || request.currentQuoteId !== after.currentQuoteId) {
+        return null;
+      }
+      const entry = {
+        ...parseVideoProjectQuote({}, request),
+        kind: 'quote',
+        authorId: request.videographerId,
+        authorRole: 'videographer',
+        previousQuoteId: request.currentQuoteId ?? null,
+        sequence: (request.quoteCount ?? 0) + 1,
+        createdAt: Timestamp.now(),
+      };
+      transaction.set(quoteRef, entry);
+      transaction.update(change.after.ref, { currentQuoteId: quoteRef.id, quoteCount: entry.sequence });
+      return entry;
+    });
+
+    if (quote) {
+      // A status change here is already alerted on by `notifyVideoProjectRequest`.
+      await announceVideoProjectQuote(change.after.id, after, quote, after.videographerId, {
+        alert: before.status === after.status,
+      });
+    }
+    return null;
+  });
+
+export const notifyVideoProjectRequest = functions
+  .region('us-central1')
+  .firestore.document(`${VIDEO_PROJECT_REQUESTS_COLLECTION}/{requestId}`)
+  .onWrite(async (change, context) => {
+    const { requestId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const deeplink = videoProjectDeeplink(requestId);
+
+    if (!after) {
+      // Only the requester can delete once a quote is out; earlier, either side can.
+      const recipients =
+        before.status === 'awaitingRequesterDecision' ? [before.videographerId] : [before.videographerId, before.requesterId];
+      await Promise.all(
+        recipients.map(userId =>
+          createAlert(userId, {
+            title: 'Video project withdrawn',
+            message: `The video project request for ${formatVideoProjectDate(before)} was removed.`,
+            category: 'request',
+            deeplink: null,
+          }),
+        ),
+      );
+      return null;
+    }
+
+    if (!after.conversationId) {
+      await ensureVideoProjectConversation(change.after.ref, after);
+    }
+
+    if (!before) {
+      await createAlert(after.videographerId, {
+        title: 'New video project request',
+        message: `${after.requesterDisplayName || 'Someone'} wants to book you for ${formatVideoProjectDate(after)}.`,
+        category: 'request',
+        deeplink,
+      });
+      return null;
+    }
+
+    // Quote steps and calendar conflicts send their own alerts.
+    const announcedElsewhere =
+      before.currentQuoteId !== after.currentQuoteId ||
+      before.acceptedQuoteId !== after.acceptedQuoteId ||
+      (after.conflict && !before.conflict);
+    if (before.status === after.status || announcedElsewhere) {
+      return null;
+    }
+
+    const alerts = {
+      pending: {
+        userId: after.videographerId,
+        title: 'Video project needs a response',
+        message: `The request for ${formatVideoProjectDate(after)} is waiting on you.`,
+      },
+      awaitingRequesterDecision: {
+        userId: after.requesterId,
+        title: 'New quote',
+        message: `Your videographer sent a quote for ${formatVideoProjectDate(after)}. Review it to confirm.`,
+      },
+      scheduled: {
+        userId: after.decisionBy === after.videographerId ? after.requesterId : after.videographerId,
+        title: 'Video project scheduled',
+        message: `The shoot on ${formatVideoProjectDate(after)} is confirmed.`,
+      },
+      declined: {
+        userId: after.decisionBy === after.requesterId ? after.videographerId : after.requesterId,
+        title: 'Video project declined',
+        message: `The video project request for ${formatVideoProjectDate(after)} was declined.`,
+      },
+    };
+    const alert = alerts[after.status];
+    if (!alert) {
+      return null;
+    }
+    return createAlert(alert.userId, { title: alert.title, message: alert.message, category: 'request', deeplink });
+  });
+
+export const syncPremiumEntitlement = functions
+  .region('us-central1')
+  .firestore.document(`${ENTITLEMENTS_COLLECTION}/{userId}`)
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    // `claimsSyncedAt` is written back below; only entitlement changes need a sync.
+    if (before && after && documentsEqual(before, after, ['plan', 'status', 'expiresAt'])) {
+      return null;
+    }
+
+    const { userId } = context.params;
+    const active = isEntitlementActive(after, Date.now());
+    const expiresAt = active ? toDate(after.expiresAt) : null;
+    await syncPremiumClaims(userId, expiresAt);
+
+    const userRef = db.collection('users').doc(userId);
+    const userSnap = await userRef.get();
+    if (userSnap.exists) {
+      const updates = { 'engineerSettings.isPremium': active };
+      if (!active) {
+        updates['engineerSettings.instantBookEnabled'] = false;
+      }
+      if (userSnap.data().premium) {
+        updates['premium.isPremiumEngineer'] = active;
+        if (!active) {
+          updates['premium.instantBookEnabled'] = false;
+        }
+      }
+      await userRef.update(updates);
+    }
+
+    if (after) {
+      await change.after.ref.update({ claimsSyncedAt: Timestamp.now() });
+    }
+
+    const wasActive = before?.status === 'active';
+    if (active && !wasActive) {
+      const until = expiresAt.toLocaleString('en-US', DATE_FORMAT_OPTIONS);
+      await createAlert(userId, {
+        title: 'Premium is active',
+        message: `Premium engineer features are unlocked until ${until}.`,
+        category: 'system',
+      });
+    } else if (!active && wasActive) {
+      await createAlert(userId, {
+        title: 'Premium has ended',
+        message: 'Premium engineer features, including instant booking, are turned off.',
+        category: 'system',
+      });
+    }
+    return null;
+  });
+
+export const expireEntitlements = functions
+  .region('us-central1')
+  .pubsub.schedule('every 60 minutes')
+  .onRun(async () => {
+    const now = Timestamp.now();
+    const activeSnap = await db.collection(ENTITLEMENTS_COLLECTION).where('status', '==', 'active').get();
+    const lapsed = activeSnap.docs.filter(doc => !isEntitlementActive(doc.data(), now.toMillis()));
+
+    for (const docs of chunk(lapsed, MAX_BATCH_WRITES)) {
+      const batch = db.batch();
+      docs.forEach(doc => batch.update(doc.ref, { status: 'expired', expiredAt: now, updatedAt: now }));
+      await batch.commit();
+    }
+    return null;
+  });
+
+export const registerDeviceToken = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to register for notifications.');
+    }
+    const token = parseDeviceToken(data?.token);
+    const platform = data?.platform ?? 'ios';
+    if (!DEVICE_TOKEN_PLATFORMS.includes(platform)) {
+      throw new functions.https.HttpsError('invalid-argument', 'platform must be ios, android or web.');
+    }
+
+    // Keyed by the token so a device that changes hands follows the latest sign-in.
+    const tokenRef = db.collection(DEVICE_TOKENS_COLLECTION).doc(deviceTokenId(token));
+    await db.runTransaction(async transaction => {
+      const tokenSnap = await transaction.get(tokenRef);
+      const now = Timestamp.now();
+      const current = tokenSnap.exists && tokenSnap.data().userId === uid ? tokenSnap.data() : null;
+      transaction.set(tokenRef, {
+        userId: uid,
+        token,
+        platform,
+        createdAt: current?.createdAt ?? now,
+        updatedAt: now,
+      });
+    });
+
+    const tokensSnap = await db.collection(DEVICE_TOKENS_COLLECTION).where('userId', '==', uid).get();
+    const overflow = tokensSnap.docs
+      .sort((a, b) => toDate(b.data().updatedAt) - toDate(a.data().updatedAt))
+      .slice(DEVICE_TOKENS_MAX_PER_USER);
+    if (overflow.length > 0) {
+      const batch = db.batch();
+      overflow.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    return { tokenId: tokenRef.id, platform };
+  });
+
+export const unregisterDeviceToken = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage notifications.');
+    }
+    const token = parseDeviceToken(data?.token);
+
+    const tokenRef = db.collection(DEVICE_TOKENS_COLLECTION).doc(deviceTokenId(token));
+    const removed = await db.runTransaction(async transaction => {
+      const tokenSnap = await transaction.get(tokenRef);
+      if (!tokenSnap.exists || tokenSnap.data().userId !== uid) {
+        return false;
+      }
+      transaction.delete(tokenRef);
+      return true;
+    });
+    return { removed };
+  });
+
+export const sendAlertPush = functions
+  .region('us-central1')
+  .firestore.document(`users/{userId}/${ALERTS_COLLECTION}/{alertId}`)
+  .onWrite(
+    createAlertPushHandler({
+      db,
+      transport: messaging,
+      deviceTokensCollection: DEVICE_TOKENS_COLLECTION,
+      isSilent: async (userId, alert) =>
+        Boolean(alertSilencedReason(await loadNotificationPreferences(userId), alert, new Date())),
+    }),
+  );
+
+export const updateNotificationPreferences = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage notifications.');
+    }
+
+    const updates = parseNotificationPreferences(data || {});
+    const preferencesRef = db.collection(NOTIFICATION_PREFERENCES_COLLECTION).doc(uid);
+    return db.runTransaction(async transaction => {
+      const preferencesSnap = await transaction.get(preferencesRef);
+      const current = preferencesSnap.data() || {};
+      let mutedConversationIds = current.mutedConversationIds || [];
+      if (updates.muteConversationId && !mutedConversationIds.includes(updates.muteConversationId)) {
+        if (mutedConversationIds.length >= NOTIFICATION_MAX_MUTED_CONVERSATIONS) {
+          throw new functions.https.HttpsError(
+            'resource-exhausted',
+            `You can mute up to ${NOTIFICATION_MAX_MUTED_CONVERSATIONS} conversations.`,
+          );
+        }
+        mutedConversationIds = [...mutedConversationIds, updates.muteConversationId];
+      }
+      if (updates.unmuteConversationId) {
+        mutedConversationIds = mutedConversationIds.filter(id => id !== updates.unmuteConversationId);
+      }
+
+      const preferences = {
+        mutedCategories: updates.mutedCategories ?? current.mutedCategories ?? [],
+        mutedConversationIds,
+        quietHours: updates.quietHours !== undefined ? updates.quietHours : current.quietHours ?? null,
+        channels: { ...resolveNotificationChannels(current), ...(updates.channels || {}) },
+      };
+      // Merged so the unsubscribe token and digest bookkeeping survive.
+      transaction.set(preferencesRef, { userId: uid, ...preferences, updatedAt: Timestamp.now() }, { merge: true });
+      return preferences;
+    });
+  });
+
+export const sendAlertDigests = functions
+  .region('us-central1')
+  .pubsub.schedule('every day 08:00')
+  .onRun(async () => {
+    const now = Timestamp.now();
+    const since = Timestamp.fromMillis(now.toMillis() - 24 * 60 * 60 * 1000);
+    const recentSnap = await db.collectionGroup(ALERTS_COLLECTION).where('createdAt', '>=', since).get();
+    const userIds = new Set(
+      recentSnap.docs.filter(doc => doc.data().isRead === false).map(doc => doc.ref.parent.parent.id),
+    );
+
+    for (const userId of userIds) {
+      await sendAlertDigest(userId, since, now);
+    }
+    return null;
+  });
+
+// Unsubscribe target for email links and `List-Unsubscribe-Post`. GET only shows a
+// confirmation form; preferences change on POST (the form, or RFC 8058 one-click), so
+// link scanners that prefetch the URL can't unsubscribe anyone.
+export const unsubscribeEmail = functions
+  .region('us-central1')
+  .https.onRequest(async (req, res) => {
+    if (!['GET', 'POST'].includes(req.method)) {
+      res.set('Allow', 'GET, POST').status(405).send('Method not allowed');
+      return;
+    }
+
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    const list = req.query.list === 'bookings' ? 'email' : 'digest';
+    if (!token) {
+      res.status(400).send('Missing unsubscribe token');
+      return;
+    }
+
+    const preferencesSnap = await db
+      .collection(NOTIFICATION_PREFERENCES_COLLECTION)
+      .where('unsubscribeToken', '==', token)
+      .limit(1)
+      .get();
+    if (preferencesSnap.empty) {
+      res.status(404).send('Unknown unsubscribe link');
+      return;
+    }
+
+    const label = list === 'email' ? 'booking emails' : 'the daily digest';
+    if (req.method === 'POST') {
+      await preferencesSnap.docs[0].ref.update({
+        [`channels.${list}`]: false,
+        updatedAt: Timestamp.now(),
+      });
+    }
+    res
+      .set('Content-Type', 'text/html; charset=utf-8')
+      .status(200)
+      .send(renderUnsubscribePage({ label, unsubscribed: req.method === 'POST' }));
+  });
+
+export const syncUnreadAlertCount = functions
+  .region('us-central1')
+  .firestore.document(`users/{userId}/${ALERTS_COLLECTION}/{alertId}`)
+  .onWrite(async (change, context) => {
+    const { userId, alertId } = context.params;
+    const wasUnread = change.before.exists && change.before.data().isRead === false;
+    const isUnread = change.after.exists && change.after.data().isRead === false;
+    if (wasUnread === isUnread) {
+      return null;
+    }
+    // markAllAlertsRead stamps `bulkReadAt` and recounts once when it's done.
+    const bulkRead =
+      change.before.exists &&
+      Boolean(change.after.exists && change.after.data().bulkReadAt) &&
+      !documentsEqual(change.before.data(), change.after.data(), ['bulkReadAt']);
+    if (bulkRead) {
+      return null;
+    }
+    await recountUnreadAlerts(userId);
+
+    // A chat alert the app marks read directly clears its thread the way markConversationRead does.
+    const conversationId = change.after.exists ? change.after.data().conversationId : null;
+    if (isUnread || !conversationId || alertId !== chatAlertId(conversationId)) {
+      return null;
+    }
+    const stateRef = conversationStateRef(userId, conversationId);
+    await db.runTransaction(async transaction => {
+      const [alertSnap, stateSnap] = await Promise.all([
+        transaction.get(change.after.ref),
+        transaction.get(stateRef),
+      ]);
+      // A message that landed since then has made the thread unread again.
+      if (alertSnap.data()?.isRead !== true || !(stateSnap.data()?.unreadCount > 0)) {
+        return;
+      }
+      const now = Timestamp.now();
+      transaction.set(
+        stateRef,
+        { userId, conversationId, unreadCount: 0, lastReadAt: now, updatedAt: now },
+        { merge: true },
+      );
+    });
+    return null;
+  });
+
+export const markAllAlertsRead = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage alerts.');
+    }
+
+    const userRef = db.collection('users').doc(uid);
+    const [unreadSnap, statesSnap] = await Promise.all([
+      userRef.collection(ALERTS_COLLECTION).where('isRead', '==', false).get(),
+      userRef.collection(CONVERSATION_STATES_SUBCOLLECTION).where('unreadCount', '>', 0).get(),
+    ]);
+    const now = Timestamp.now();
+    const writes = [
+      ...unreadSnap.docs.map(doc => batch =>
+        batch.update(doc.ref, {
+          isRead: true,
+          readAt: now,
+          bulkReadAt: now,
+          ...(doc.data().conversationId ? { unreadCount: 0 } : {}),
+        }),
+      ),
+      ...conversationStateResets(uid, statesSnap.docs.map(doc => doc.id), now),
+    ];
+    await commitInBatches(writes);
+    await recountUnreadAlerts(uid);
+    return { updated: unreadSnap.size };
+  });
+
+export const deleteReadAlerts = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage alerts.');
+    }
+
+    const readSnap = await db
+      .collection('users')
+      .doc(uid)
+      .collection(ALERTS_COLLECTION)
+      .where('isRead', '==', true)
+      .get();
+    const conversationIds = readSnap.docs.map(doc => doc.data().conversationId).filter(Boolean);
+    await commitInBatches([
+      ...readSnap.docs.map(doc => batch => batch.delete(doc.ref)),
+      ...conversationStateResets(uid, conversationIds, Timestamp.now()),
+    ]);
+    return { deleted: readSnap.size };
+  });
+
+export const purgeReadAlerts = functions
+  .region('us-central1')
+  .pubsub.schedule('every day 03:00')
+  .onRun(async () => {
+    const cutoff = Timestamp.fromMillis(Date.now() - ALERT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    // Each page is deleted before the next query, so it always reads from the start.
+    const query = db
+      .collectionGroup(ALERTS_COLLECTION)
+      .where('isRead', '==', true)
+      .where('createdAt', '<', cutoff)
+      .orderBy('createdAt')
+      .limit(MAX_BATCH_WRITES);
+
+    let pageSnap;
+    do {
+      pageSnap = await query.get();
+      if (!pageSnap.empty) {
+        const batch = db.batch();
+        pageSnap.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    } while (pageSnap.size === MAX_BATCH_WRITES);
+    return null;
+  });
+
+export const notifyChatMessage = functions
+  .region('us-central1')
+  .firestore.document('conversations/{threadId}/messages/{messageId}')
+  .onCreate(async (snapshot, context) => {
+    const message = snapshot.data();
+    const threadId = context.params.threadId;
+    // Server-posted summaries are alerted on by whatever posted them.
+    if (!message || message.source) {
+      return null;
+    }
+
+    const conversationSnap = await db.collection('conversations').doc(threadId).get();
+    if (!conversationSnap.exists) {
+      return null;
+    }
+
+    const conversation = conversationSnap.data() || {};
+    const participantIds = resolveParticipantIds(conversation).filter(
+      id => id && id !== message.senderId,
+    );
+    if (participantIds.length === 0) {
+      return null;
+    }
+
+    const preview =
+      message.content?.text ||
+      message.lastMessagePreview ||
+      conversation.displayName ||
+      'You have a new message';
+
+    await Promise.all(participantIds.map(participantId => coalesceChatAlert(participantId, threadId, preview)));
+    return null;
+  });
+
+// Called when the user opens a thread, and as a heartbeat while it stays open
+// (`viewing: true`), so messages arriving meanwhile don't raise alerts.
+export const markConversationRead = functions
+  .region('us-central1')
+  .https.onCall(async (data, context) => {
+    const uid = context.auth?.uid;
+    if (!uid) {
+      throw new functions.https.HttpsError('unauthenticated', 'Sign in to read conversations.');
+    }
+    const conversationId = data?.conversationId;
+    if (typeof conversationId !== 'string' || !conversationId) {
+      throw new functions.https.HttpsError('invalid-argument', 'conversationId is required.');
+    }
+    const viewing = data?.viewing === true;
+
+    const conversationSnap = await db.collection('conversations').doc(conversationId).get();
+    if (!conversationSnap.exists || !resolveParticipantIds(conversationSnap.data()).includes(uid)) {
+      throw new functions.https.HttpsError('permission-denied', "You're not part of that conversation.");
+    }
+
+    const stateRef = conversationStateRef(uid, conversationId);
+    const alertRef = db.collection('users').doc(uid).collection(ALERTS_COLLECTION).doc(chatAlertId(conversationId));
+    const now = Timestamp.now();
+    await db.runTransaction(async transaction => {
+      const alertSnap = await transaction.get(alertRef);
+      transaction.set(
+        stateRef,
+        {
+          userId: uid,
+          conversationId,
+          unreadCount: 0,
+          lastReadAt: now,
+          viewingUntil: viewing ? Timestamp.fromMillis(now.toMillis() + CHAT_VIEWING_TTL_SECONDS * 1000) : null,
+          updatedAt: now,
+        },
+        { merge: true },
+      );
+      if (alertSnap.exists && (alertSnap.data().isRead === false || alertSnap.data().unreadCount > 0)) {
+        transaction.update(alertRef, { isRead: true, readAt: now, unreadCount: 0 });
+      }
+    });
+    return { conversationId, unreadCount: 0, viewing };
+  });
+
+export const notifyMediaRating = functions
+  .region('us-central1')
+  .firestore.document('users/{ownerId}/media/{mediaId}/ratings/{ratingUserId}')
+  .onWrite(async (change, context) => {
+    const { ownerId, mediaId, ratingUserId } = context.params;
+    const parentRef = db.collection('users').doc(ownerId).collection('media').doc(mediaId);
+
+    if (!change.after.exists) {
+      await parentRef.update({
+        [`ratings.${ratingUserId}`]: FieldValue.delete(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return null;
+    }
+
+    const ratingData = change.after.data() || {};
+    const ratingValue = ratingData.rating;
+    if (typeof ratingValue !== 'number') {
+      return null;
+    }
+
+    await parentRef.set(
+      {
+        [`ratings.${ratingUserId}`]: ratingValue,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+
+    if (ownerId === ratingUserId) {
+      return null;
+    }
+
+    const [mediaSnap, reviewerSnap] = await Promise.all([
+      parentRef.get(),
+      db.collection('users').doc(ratingUserId).get(),
+    ]);
+
+    const media = mediaSnap.data() || {};
+    const reviewer = reviewerSnap.data() || {};
+    const displayTitle = media.title || media.displayCategoryTitle || 'Your media';
+    const reviewerName = reviewer.displayName || reviewer.username || 'Someone';
+
+    await createAlert(ownerId, {
+      title: 'New rating received',
+      message: `${reviewerName} rated "${displayTitle}"`,
+      category: 'media',
+      deeplink: `punchin://media/${mediaId}`,
+    });
+    return null;
+  });
+
+export const notifyBeatDownloadRequest = functions
+  .region('us-central1')
+  .firestore.document('beatDownloadRequests/{requestId}')
+  .onCreate(async (snapshot) => {
+    const request = snapshot.data();
+    if (!request) {
+      return null;
+    }
+
+    const { producerId, requesterId, beatId } = request;
+    if (!producerId || producerId === requesterId) {
+      return null;
+    }
+
+    const [beatSnap, requesterSnap] = await Promise.all([
+      db.collection('users').doc(producerId).collection('beatCatalog').doc(beatId).get(),
+      requesterId ? db.collection('users').doc(requesterId).get() : null,
+    ]);
+
+    const beat = beatSnap.exists ? beatSnap.data() || {} : {};
+    const requester = requesterSnap?.exists ? requesterSnap.data() || {} : {};
+    const beatTitle = beat.title || 'one of your beats';
+    const requesterName = requester.displayName || requester.username || 'Someone';
+
+    await createAlert(producerId, {
+      title: 'Download request received',
+      message: `${requesterName} requested files for "${beatTitle}".`,
+      category: 'media',
+      deeplink: null,
+    });
+
+    return null;
+  });
+
+export const notifyBeatDownloadDecision = functions
+  .region('us-central1')
+  .firestore.document('beatDownloadRequests/{requestId}')
+  .onUpdate(async (change) => {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    if (!before || !after) {
+      return null;
+    }
+
+    if (before.status === after.status) {
+      return null;
+    }
+
+    const { requesterId, producerId, beatId, status } = after;
+    if (!requesterId || requesterId === producerId) {
+      return null;
+    }
+
+    const beatSnap = beatId
+      ? await db.collection('users').doc(producerId).collection('beatCatalog').doc(beatId).get()
+      : null;
+    const beat = beatSnap?.exists ? beatSnap.data() || {} : {};
+    const beatTitle = after.beatTitle || beat.title || 'your requested beat';
+
+    const requesterRef = db
+      .collection('users')
+      .doc(requesterId)
+      .collection('driveDownloadRequests')
+      .doc(change.after.id);
+
+    if (status === 'fulfilled') {
+      await requesterRef.set(buildDrivePayload(after, beatTitle), { merge: true });
+
+      await createAlert(requesterId, {
+        title: 'Download ready',
+        message: `Files for "${beatTitle}" are ready to download.`,
+        category: 'media',
+        deeplink: null,
+      });
+    } else if (status === 'rejected') {
+      await requesterRef.set(buildDrivePayload(after, beatTitle), { merge: true });
+
+      await createAlert(requesterId, {
+        title: 'Download request declined',
+        message: `The producer declined your request for "${beatTitle}".`,
+        category: 'media',
+        deeplink: null,
+      });
+    }
+
+    return null;
+  });
+
+function buildDrivePayload(request, beatTitle) {
+  const payload = {
+    status: request.status,
+    updatedAt: request.updatedAt ?? FieldValue.serverTimestamp(),
+    producerId: request.producerId,
+    requesterId: request.requesterId,
+    beatId: request.beatId,
+  };
+
+  if (request.createdAt) {
+    payload.createdAt = request.createdAt;
+  }
+
+  if (beatTitle) {
+    payload.beatTitle = beatTitle;
+  }
+
+  if (request.status === 'fulfilled' && request.downloadURL) {
+    payload.downloadURL = request.downloadURL;
+  } else {
+    payload.downloadURL = FieldValue.delete();
+  }
+
+  return payload;
+}
+
+async function ensureBookingHolds(booking, bookingId) {
+  const start = booking.confirmedStart ?? booking.requestedStart;
+  const end = booking.confirmedEnd ?? booking.requestedEnd;
+  const durationMinutes = booking.durationMinutes ?? Math.max(30, Math.round((end.toMillis() - start.toMillis()) / 60000));
+  const kind = booking.selfBooking ? 'selfBooking' : 'bookingHold';
+  const createdBy = booking.selfBooking ? booking.bookedBy : booking.artistId;
+  const notes = booking.selfBooking ? booking.notes || 'Self-booked session' : 'Synced from booking';
+
+  const studioEntry = {
+    kind,
     ownerId: booking.studioId,
     studioId: booking.studioId,
     roomId: booking.roomId,
     engineerId: booking.engineerId,
     durationMinutes,
-    startDate: start,
-    endDate: end,
-    sourceBookingId: bookingId,
-    createdBy: booking.artistId,
-    notes: 'Synced from booking',
-    createdAt: booking.createdAt ?? new Date(),
-    updatedAt: new Date(),
+    startDate: start,
+    endDate: end,
+    sourceBookingId: bookingId,
+    createdBy,
+    notes,
+    createdAt: booking.createdAt ?? new Date(),
+    updatedAt: new Date(),
+  };
+
+  const engineerEntry = {
+    kind,
+    ownerId: booking.engineerId,
+    studioId: booking.studioId,
+    roomId: booking.roomId,
+    engineerId: booking.engineerId,
+    durationMinutes,
+    startDate: start,
+    endDate: end,
+    sourceBookingId: bookingId,
+    createdBy,
+    notes,
+    createdAt: booking.createdAt ?? new Date(),
+    updatedAt: new Date(),
+  };
+
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const studioRef = db.collection('studios').doc(booking.studioId);
+  const engineerRef = booking.engineerId ? db.collection('users').doc(booking.engineerId) : null;
+  const sessionWindow = { start: toDate(start), end: toDate(end) };
+
+  const conflict = await db.runTransaction(async transaction => {
+    const [studioSnap, studioAvailability, engineerAvailability] = await Promise.all([
+      transaction.get(studioRef),
+      transaction.get(studioRef.collection('availability')),
+      engineerRef ? transaction.get(engineerRef.collection('availability')) : null,
+    ]);
+
+    const timeZone = resolveOperatingSchedule(studioSnap.data()).timeZone;
+    const toEntries = snapshot => (snapshot ? snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) : []);
+    const roomConflictIds = overlappingAvailability(toEntries(studioAvailability), sessionWindow, timeZone, {
+      roomId: booking.roomId,
+      ignoreBookingId: bookingId,
+    }).map(entry => entry.id);
+    const engineerConflictIds = overlappingAvailability(toEntries(engineerAvailability), sessionWindow, timeZone, {
+      ignoreBookingId: bookingId,
+    }).map(entry => entry.id);
+
+    if (roomConflictIds.length > 0 || engineerConflictIds.length > 0) {
+      transaction.update(bookingRef, {
+        conflict: {
+          state: 'unresolved',
+          roomConflictIds,
+          engineerConflictIds,
+          detectedAt: FieldValue.serverTimestamp(),
+        },
+      });
+      return { studioOwnerId: studioSnap.data()?.ownerId || null };
+    }
+
+    transaction.set(studioRef.collection('availability').doc(bookingId), studioEntry, { merge: true });
+    if (engineerRef) {
+      transaction.set(engineerRef.collection('availability').doc(bookingId), engineerEntry, { merge: true });
+    }
+    if (booking.conflict) {
+      transaction.update(bookingRef, { conflict: FieldValue.delete() });
+    }
+    return null;
+  });
+
+  if (conflict) {
+    await sendBookingConflictAlert(booking, bookingId, conflict.studioOwnerId);
+  }
+}
+
+async function sendBookingConflictAlert(booking, bookingId, studioOwnerId) {
+  const startDate = toDate(booking.confirmedStart || booking.requestedStart);
+  const formattedDate = startDate
+    ? startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS)
+    : 'an upcoming session';
+  const payload = {
+    title: 'Booking conflict',
+    message: `The confirmed session for ${formattedDate} overlaps another booking or block. Review the schedule.`,
+    category: 'booking',
+    deeplink: `punchin://bookings/${bookingId}`,
+  };
+
+  const recipients = new Set([studioOwnerId, booking.engineerId].filter(Boolean));
+  await Promise.all(Array.from(recipients).map(userId => createAlert(userId, payload)));
+}
+
+async function removeBookingHolds(booking, bookingId) {
+  await Promise.all([
+    db
+      .collection('studios')
+      .doc(booking.studioId)
+      .collection('availability')
+      .doc(bookingId)
+      .delete()
+      .catch(() => null),
+    booking.engineerId
+      ? db
+          .collection('users')
+          .doc(booking.engineerId)
+          .collection('availability')
+          .doc(bookingId)
+          .delete()
+          .catch(() => null)
+      : null,
+  ]);
+}
+
+async function sendBookingAlert(booking, bookingId, reason) {
+  const titleMap = {
+    created: 'New booking request',
+    updated: 'Booking updated',
+    cancelled: 'Booking cancelled',
+  };
+  const details = describeBooking(booking, bookingId);
+  const cancelled = reason === 'cancelled' || booking.status === 'cancelled';
+  const payload = {
+    title: titleMap[reason] || 'Booking update',
+    message: details.message,
+    category: 'booking',
+    deeplink: details.deeplink,
+    critical:
+      cancelled &&
+      Boolean(details.startDate) &&
+      details.startDate.getTime() - Date.now() < CRITICAL_CANCELLATION_WINDOW_HOURS * 60 * 60 * 1000,
+  };
+
+  const recipients = await resolveBookingRecipients(booking);
+  await Promise.all(
+    recipients.map(async userId => {
+      const delivery = await createAlert(userId, payload);
+      // Email and SMS follow the same preferences as the push.
+      if (delivery && !delivery.silent) {
+        await sendBookingChannels(userId, reason, booking, details);
+      }
+    }),
+  );
+}
+
+function describeBooking(booking, bookingId) {
+  const statusLabel = booking.status?.toString?.() || 'pending';
+  const startDate = toDate(booking.confirmedStart || booking.requestedStart);
+  const endDate = toDate(booking.confirmedEnd || booking.requestedEnd);
+  const formattedDate = startDate
+    ? startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS)
+    : 'upcoming session';
+  return {
+    statusLabel,
+    startDate,
+    endDate,
+    message: `Session ${statusLabel} for ${formattedDate}`,
+    deeplink: `punchin://bookings/${bookingId}`,
+  };
+}
+
+async function resolveBookingRecipients(booking) {
+  const recipients = new Set([booking.artistId, booking.engineerId].filter(Boolean));
+  const studioOwnerId = await resolveStudioOwnerId(booking.studioId);
+  if (studioOwnerId) {
+    recipients.add(studioOwnerId);
+  }
+  // Self-bookings have no artist, and the booker doesn't need an alert about their own session.
+  if (booking.selfBooking) {
+    recipients.delete(booking.bookedBy);
+  }
+  return Array.from(recipients);
+}
+
+async function resolveStudioOwnerId(studioId) {
+  if (!studioId) {
+    return null;
+  }
+  const studioSnap = await db.collection('studios').doc(studioId).get();
+  return studioSnap.exists ? studioSnap.data()?.ownerId || null : null;
+}
+
+function parseBookingRequest(data, { engineerOptional = false } = {}) {
+  const { studioId, roomId } = data || {};
+  const engineerId = data?.engineerId ?? null;
+  if (engineerOptional) {
+    if (![studioId, roomId].every(value => typeof value === 'string' && value)) {
+      throw new functions.https.HttpsError('invalid-argument', 'studioId and roomId are required.');
+    }
+    if (engineerId !== null && (typeof engineerId !== 'string' || !engineerId)) {
+      throw new functions.https.HttpsError('invalid-argument', 'engineerId must be a string when provided.');
+    }
+  } else if (![studioId, roomId, engineerId].every(value => typeof value === 'string' && value)) {
+    throw new functions.https.HttpsError('invalid-argument', 'studioId, roomId and engineerId are required.');
+  }
+
+  const start = parseDateInput(data.startDate);
+  if (!start) {
+    throw new functions.https.HttpsError('invalid-argument', 'startDate must be a timestamp in milliseconds or an ISO date.');
+  }
+
+  const durationMinutes = Number(data.durationMinutes);
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < BOOKING_MIN_DURATION_MINUTES ||
+    durationMinutes > BOOKING_MAX_DURATION_MINUTES
+  ) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Please choose a duration between 30 minutes and 12 hours.',
+    );
+  }
+
+  return {
+    studioId,
+    roomId,
+    engineerId,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60000),
+    durationMinutes,
+    notes: typeof data.notes === 'string' ? data.notes : '',
+  };
+}
+
+async function loadBookingContext(transaction, request) {
+  const studioRef = db.collection('studios').doc(request.studioId);
+  // Studio self-bookings may come without an engineer.
+  const engineerRef = request.engineerId ? db.collection('users').doc(request.engineerId) : null;
+  const relationshipRef = request.engineerId
+    ? db.collection('studioEngineerRelationships').doc(`${request.studioId}_${request.engineerId}`)
+    : null;
+  const entitlementRef = request.engineerId ? db.collection(ENTITLEMENTS_COLLECTION).doc(request.engineerId) : null;
+
+  const [
+    studioSnap,
+    roomSnap,
+    engineerSnap,
+    relationshipSnap,
+    entitlementSnap,
+    studioAvailability,
+    engineerAvailability,
+    studioBookings,
+    engineerBookings,
+  ] = await Promise.all([
+    transaction.get(studioRef),
+    transaction.get(studioRef.collection('rooms').doc(request.roomId)),
+    engineerRef ? transaction.get(engineerRef) : null,
+    relationshipRef ? transaction.get(relationshipRef) : null,
+    entitlementRef ? transaction.get(entitlementRef) : null,
+    transaction.get(studioRef.collection('availability')),
+    engineerRef ? transaction.get(engineerRef.collection('availability')) : null,
+    transaction.get(
+      db
+        .collection('bookings')
+        .where('studioId', '==', request.studioId)
+        .where('status', 'in', ACTIVE_BOOKING_STATUSES),
+    ),
+    engineerRef
+      ? transaction.get(
+          db
+            .collection('bookings')
+            .where('engineerId', '==', request.engineerId)
+            .where('status', 'in', ACTIVE_BOOKING_STATUSES),
+        )
+      : null,
+  ]);
+
+  if (!studioSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Studio not found.');
+  }
+  if (!roomSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Room not found.');
+  }
+  if (engineerSnap && !engineerSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Engineer not found.');
+  }
+
+  const toEntries = snapshot => (snapshot ? snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) : []);
+  const bookingsById = new Map();
+  [...studioBookings.docs, ...(engineerBookings?.docs ?? [])].forEach(doc => {
+    bookingsById.set(doc.id, { id: doc.id, ...doc.data() });
+  });
+
+  return {
+    studio: { id: studioSnap.id, ...studioSnap.data() },
+    room: { id: roomSnap.id, ...roomSnap.data() },
+    engineer: engineerSnap ? { id: engineerSnap.id, ...engineerSnap.data() } : null,
+    relationship: relationshipSnap?.exists ? relationshipSnap.data() : null,
+    engineerEntitlement: entitlementSnap?.exists ? entitlementSnap.data() : null,
+    studioAvailability: toEntries(studioAvailability),
+    engineerAvailability: toEntries(engineerAvailability),
+    bookings: Array.from(bookingsById.values()),
+  };
+}
+
+function evaluateBookingRequest(bookingContext, request, options = {}) {
+  return [
+    ...evaluateScheduleReasons(bookingContext.studio, request),
+    ...evaluateEngineerAccessReasons(bookingContext, request),
+    ...evaluateConflictReasons(bookingContext, request, options),
+  ];
+}
+
+function evaluateEngineerAccessReasons(bookingContext, request) {
+  if (!bookingContext.engineer || resolveEngineerStudioAccess(bookingContext, request.start) !== 'none') {
+    return [];
+  }
+  return [{ code: 'engineer_not_at_studio', message: "That engineer doesn't work at this studio." }];
+}
+
+function evaluateScheduleReasons(studio, request) {
+  const schedule = resolveOperatingSchedule(studio);
+  const reasons = [];
+
+  if (request.start.getTime() <= Date.now()) {
+    reasons.push({ code: 'start_in_past', message: 'Pick a start time in the future.' });
+  }
+
+  if (!isWithinOperatingHours(request.start, request.end, schedule)) {
+    reasons.push({ code: 'studio_closed', message: 'The studio is closed at that time. Pick a different slot.' });
+  }
+
+  if (isBlackoutDate(request.start, schedule)) {
+    reasons.push({ code: 'studio_blackout', message: 'The studio is unavailable on that date.' });
+  }
+
+  return reasons;
+}
+
+function evaluateConflictReasons(bookingContext, request, options = {}) {
+  const { studio, studioAvailability, engineerAvailability } = bookingContext;
+  const timeZone = resolveOperatingSchedule(studio).timeZone;
+  const ignoredBookingId = options.ignoreBookingId ?? null;
+  const blockingStatuses = options.blockingStatuses ?? ACTIVE_BOOKING_STATUSES;
+  const bookings = bookingContext.bookings.filter(
+    booking => booking.id !== ignoredBookingId && blockingStatuses.includes(booking.status),
+  );
+  const reasons = [];
+
+  const roomConflicts = [
+    ...overlappingAvailability(studioAvailability, request, timeZone, {
+      roomId: request.roomId,
+      ignoreBookingId: ignoredBookingId,
+    }),
+    ...bookings.filter(
+      booking =>
+        booking.studioId === request.studioId &&
+        booking.roomId === request.roomId &&
+        bookingOverlaps(booking, request.start, request.end),
+    ),
+  ];
+  if (roomConflicts.length > 0) {
+    reasons.push({
+      code: 'room_unavailable',
+      message: 'That room is already booked or blocked.',
+      conflictIds: roomConflicts.map(conflict => conflict.id),
+    });
+  }
+
+  const engineerConflicts = [
+    ...overlappingAvailability(engineerAvailability, request, timeZone, { ignoreBookingId: ignoredBookingId }),
+    ...bookings.filter(
+      booking =>
+        request.engineerId &&
+        booking.engineerId === request.engineerId &&
+        bookingOverlaps(booking, request.start, request.end),
+    ),
+  ];
+  if (engineerConflicts.length > 0) {
+    reasons.push({
+      code: 'engineer_unavailable',
+      message: 'The engineer has a conflict at that time.',
+      conflictIds: engineerConflicts.map(conflict => conflict.id),
+    });
+  }
+
+  return reasons;
+}
+
+// Premium flags on the profile are client-writable mirrors, so instant booking
+// checks the engineer's entitlement itself.
+function resolveBookingApproval(bookingContext, sessionStart) {
+  const { studio, engineer, engineerEntitlement } = bookingContext;
+  const settings = resolveEngineerSettings(engineer);
+  const access = resolveEngineerStudioAccess(bookingContext, sessionStart);
+  const engineerAllowsStudio = access === 'main' || access === 'other';
+  const engineerCanInstantBook = isEntitlementActive(engineerEntitlement, Date.now()) && settings.instantBookEnabled;
+  const canInstantBook = engineerCanInstantBook && engineerAllowsStudio && studio.autoApproveRequests === true;
+
+  return {
+    requiresStudioApproval: !canInstantBook,
+    requiresEngineerApproval: !engineerCanInstantBook || !engineerAllowsStudio,
+  };
+}
+
+// Whoever self-books covers their own side; the other party (if any) still has
+// to approve unless the studio auto-approves requests.
+function resolveSelfBookingApproval({ studio, engineer }, bookerId) {
+  return {
+    requiresStudioApproval: studio.ownerId !== bookerId && studio.autoApproveRequests !== true,
+    requiresEngineerApproval: Boolean(engineer) && engineer.id !== bookerId,
+  };
+}
+
+// 'none': not a member of the studio, so the request is rejected.
+// 'main': the studio is the engineer's main studio on the session date.
+// 'other': another member studio, allowed because the engineer takes outside sessions.
+// 'restricted': another member studio without that opt-in, so it needs manual approval.
+// A main-studio switch applies from the local day it was made onwards.
+function resolveEngineerStudioAccess({ studio, engineer, relationship }, sessionStart) {
+  const isMember =
+    relationship?.role === 'member' ||
+    (studio.approvedEngineerIds || []).includes(engineer.id) ||
+    studio.ownerId === engineer.id;
+  if (!isMember) {
+    return 'none';
+  }
+
+  const settings = resolveEngineerSettings(engineer);
+  if (settings.mainStudioId === studio.id) {
+    const timeZone = resolveOperatingSchedule(studio).timeZone;
+    const selectedAt = toDate(relationship?.lastMainStudioAt) || toDate(settings.mainStudioSelectedAt);
+    const selectedKey =
+      relationship?.mainStudioDateKey ?? (selectedAt ? zonedDateParts(selectedAt, timeZone).dateKey : null);
+    if (!selectedKey || selectedKey <= zonedDateParts(sessionStart, timeZone).dateKey) {
+      return 'main';
+    }
+  }
+  return settings.allowOtherStudios ? 'other' : 'restricted';
+}
+
+// Final step of every confirmation path: freezes pricing and, when the studio
+// asks for a deposit that hasn't been paid yet, parks the booking as pending
+// until the payment webhook confirms it.
+function confirmationFields(bookingContext, booking, session, now) {
+  const pricingFields = bookingPricingFields(bookingContext, session.durationMinutes, booking, true, now);
+  const payment = resolveDepositRequirement(bookingContext.studio, booking);
+  if (payment && pricingFields.pricing?.total > 0) {
+    return { ...pricingFields, status: 'pending', confirmedStart: null, confirmedEnd: null, payment };
+  }
+  return {
+    ...pricingFields,
+    status: 'confirmed',
+    confirmedStart: Timestamp.fromDate(session.start),
+    confirmedEnd: Timestamp.fromDate(session.end),
+  };
+}
+
+// `studios.depositPercent` (0-100) of the booking total must be paid before confirmation.
+function resolveDepositRequirement(studio, booking) {
+  const depositPercent = Number(studio?.depositPercent);
+  if (booking?.selfBooking || !(depositPercent > 0) || booking?.payment?.depositPaidAt) {
+    return null;
+  }
+  return {
+    state: 'awaiting_deposit',
+    depositPercent: Math.min(depositPercent, 100),
+    amountPaid: booking?.payment?.amountPaid ?? 0,
+    amountRefunded: booking?.payment?.amountRefunded ?? 0,
+    depositPaidAt: null,
+  };
+}
+
+// Rates are re-read from the room and engineer until the booking is first
+// confirmed; from then on the frozen rates (and the studio's cancellation policy
+// at that moment) stick, and only the total follows duration changes.
+function bookingPricingFields(bookingContext, durationMinutes, booking, confirmed, now) {
+  if (booking?.selfBooking) {
+    return {};
+  }
+  const frozen = booking?.pricing?.frozenAt ? booking.pricing : null;
+  const pricing = resolveBookingPricing(bookingContext, durationMinutes, frozen);
+  if (!pricing) {
+    return {};
+  }
+  if (frozen || !confirmed) {
+    return { pricing };
+  }
+  return {
+    pricing: { ...pricing, frozenAt: now },
+    cancellationPolicy: resolveCancellationPolicy(bookingContext.studio),
+  };
+}
+
+function resolveBookingPricing({ studio, room, engineer }, durationMinutes, frozen = null) {
+  const hourlyRate = frozen ? frozen.hourlyRate : room?.hourlyRate ?? studio?.hourlyRate;
+  if (typeof hourlyRate !== 'number') {
+    return null;
+  }
+
+  const engineerHourlyRate = frozen ? frozen.engineerHourlyRate ?? 0 : resolveEngineerSettings(engineer).hourlyRate ?? 0;
+  const hours = durationMinutes / 60;
+  const roomTotal = roundCurrency(hourlyRate * hours);
+  const engineerTotal = roundCurrency(engineerHourlyRate * hours);
+  return {
+    hourlyRate,
+    engineerHourlyRate,
+    roomTotal,
+    engineerTotal,
+    total: roundCurrency(roomTotal + engineerTotal),
+    currency: frozen?.currency ?? 'USD',
+    frozenAt: frozen?.frozenAt ?? null,
+  };
+}
+
+// `studios.cancellationPolicy.tiers` lists `{ withinHours, feePercent }`; the
+// tightest tier containing the time left before the session applies, so
+// `[{ withinHours: 48, feePercent: 50 }]` reads "free until 48h, then 50%".
+function resolveCancellationPolicy(studio) {
+  const tiers = (Array.isArray(studio?.cancellationPolicy?.tiers) ? studio.cancellationPolicy.tiers : [])
+    .filter(
+      tier =>
+        typeof tier?.withinHours === 'number' &&
+        tier.withinHours > 0 &&
+        typeof tier.feePercent === 'number' &&
+        tier.feePercent >= 0 &&
+        tier.feePercent <= 100,
+    )
+    .map(tier => ({ withinHours: tier.withinHours, feePercent: tier.feePercent }))
+    .sort((a, b) => a.withinHours - b.withinHours);
+  return tiers.length > 0 ? { tiers } : null;
+}
+
+// Only artists pay: declines and cancellations by the studio or engineer are
+// free, as are bookings that were never confirmed (no frozen pricing/policy).
+function resolveCancellationFee(booking, roles, now) {
+  if (!roles.isArtist || roles.isStudioOwner || roles.isEngineer) {
+    return null;
+  }
+  if (!booking.cancellationPolicy || !booking.pricing?.frozenAt) {
+    return null;
+  }
+
+  const hoursBeforeStart = (bookingWindow(booking).start.getTime() - now.getTime()) / (60 * 60000);
+  const tier = booking.cancellationPolicy.tiers.find(candidate => hoursBeforeStart < candidate.withinHours);
+  const feePercent = tier?.feePercent ?? 0;
+  return {
+    feePercent,
+    amount: roundCurrency((booking.pricing.total * feePercent) / 100),
+    currency: booking.pricing.currency,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+  };
+}
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Profiles written by the app keep premium flags under `engineerSettings`; the
+// architecture doc calls the same map `premium`, so accept either shape.
+function resolveEngineerSettings(profile) {
+  const settings = profile?.engineerSettings || {};
+  const premium = profile?.premium || {};
+  return {
+    instantBookEnabled: (settings.instantBookEnabled ?? premium.instantBookEnabled) === true,
+    mainStudioId: settings.mainStudioId ?? premium.mainStudioId ?? null,
+    allowOtherStudios: (settings.allowOtherStudios ?? premium.allowOtherStudios) === true,
+    mainStudioSelectedAt: settings.mainStudioSelectedAt ?? premium.mainStudioSelectedAt ?? null,
+    hourlyRate: typeof settings.hourlyRate === 'number' ? settings.hourlyRate : null,
+  };
+}
+
+// Studios saved by the app nest hours under `operatingSchedule`; older docs use
+// the top-level `operatingHours`/`blackoutDates` fields from the architecture doc.
+function resolveOperatingSchedule(studio) {
+  const schedule = studio?.operatingSchedule || {};
+  const recurringHours = Array.isArray(schedule.recurringHours)
+    ? schedule.recurringHours
+    : Array.isArray(studio?.operatingHours)
+      ? studio.operatingHours
+      : [];
+  const blackoutDates = (schedule.blackoutDates || studio?.blackoutDates || []).map(toDate).filter(Boolean);
+
+  return {
+    timeZone: resolveTimeZone(schedule.timeZoneIdentifier || studio?.timeZoneIdentifier),
+    recurringHours: recurringHours.filter(
+      range => Number.isInteger(range?.weekday) && typeof range.startTimeMinutes === 'number',
+    ),
+    blackoutDates,
+  };
+}
+
+function isWithinOperatingHours(start, end, schedule) {
+  if (schedule.recurringHours.length === 0) {
+    return true;
+  }
+
+  const startParts = zonedDateParts(start, schedule.timeZone);
+  const endParts = zonedDateParts(end, schedule.timeZone);
+  const sameDay = startParts.dateKey === endParts.dateKey;
+  const endMinutes = sameDay ? endParts.minutes : (endParts.minutes === 0 ? 24 * 60 : -1);
+
+  return schedule.recurringHours.some(
+    range =>
+      range.weekday === startParts.weekday &&
+      startParts.minutes >= range.startTimeMinutes &&
+      endMinutes >= 0 &&
+      endMinutes <= range.startTimeMinutes + range.durationMinutes,
+  );
+}
+
+function isBlackoutDate(date, schedule) {
+  const dateKey = zonedDateParts(date, schedule.timeZone).dateKey;
+  return schedule.blackoutDates.some(
+    blackout => zonedDateParts(blackout, schedule.timeZone).dateKey === dateKey,
+  );
+}
+
+function isBlockingAvailability(entry) {
+  return BLOCKING_AVAILABILITY_KINDS.includes(entry?.kind ?? entry?.type);
+}
+
+function overlappingAvailability(entries, sessionWindow, timeZone, { roomId = null, ignoreBookingId = null } = {}) {
+  return entries.filter(
+    entry =>
+      isBlockingAvailability(entry) &&
+      (!ignoreBookingId || (entry.id !== ignoreBookingId && entry.sourceBookingId !== ignoreBookingId)) &&
+      (!roomId || !entry.roomId || entry.roomId === roomId) &&
+      availabilityOverlaps(entry, sessionWindow.start, sessionWindow.end, timeZone),
+  );
+}
+
+function availabilityOverlaps(entry, start, end, timeZone) {
+  const interval = availabilityInterval(entry);
+  if (interval) {
+    return interval.start < end && start < interval.end;
+  }
+
+  if (!Number.isInteger(entry.weekday) || typeof entry.startTimeMinutes !== 'number') {
+    return false;
+  }
+
+  const startParts = zonedDateParts(start, timeZone);
+  if (startParts.weekday !== entry.weekday) {
+    return false;
+  }
+
+  const endParts = zonedDateParts(end, timeZone);
+  const endMinutes = startParts.dateKey === endParts.dateKey ? endParts.minutes : 24 * 60;
+  const windowEnd = entry.startTimeMinutes + (entry.durationMinutes ?? 0);
+  return startParts.minutes < windowEnd && endMinutes > entry.startTimeMinutes;
+}
+
+function availabilityInterval(entry) {
+  const start = toDate(entry.startDate);
+  if (!start) {
+    return null;
+  }
+  const end =
+    toDate(entry.endDate) ||
+    (typeof entry.durationMinutes === 'number' ? new Date(start.getTime() + entry.durationMinutes * 60000) : null);
+  return end && start < end ? { start, end } : null;
+}
+
+function bookingOverlaps(booking, start, end) {
+  const bookingStart = toDate(booking.confirmedStart || booking.requestedStart);
+  const bookingEnd = toDate(booking.confirmedEnd || booking.requestedEnd);
+  return Boolean(bookingStart && bookingEnd && bookingStart < end && start < bookingEnd);
+}
+
+function nextDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+function localDays(rangeStart, rangeEnd, timeZone) {
+  const days = [];
+  let dateKey = zonedDateParts(rangeStart, timeZone).dateKey;
+  let start = zonedDateTime(dateKey, 0, timeZone);
+  while (start < rangeEnd) {
+    const followingKey = nextDateKey(dateKey);
+    const end = zonedDateTime(followingKey, 0, timeZone);
+    days.push({ dateKey, weekday: new Date(`${dateKey}T00:00:00Z`).getUTCDay(), start, end });
+    dateKey = followingKey;
+    start = end;
+  }
+  return days;
+}
+
+function availabilityIntervalForDay(entry, day, timeZone) {
+  const oneOff = availabilityInterval(entry);
+  const interval = oneOff
+    ? oneOff
+    : Number.isInteger(entry.weekday) && typeof entry.startTimeMinutes === 'number' && entry.weekday === day.weekday
+      ? recurringIntervalForDay(entry, day, timeZone)
+      : null;
+  return interval ? clampInterval(interval, day) : null;
+}
+
+function recurringIntervalForDay(range, day, timeZone) {
+  const start = zonedDateTime(day.dateKey, range.startTimeMinutes, timeZone);
+  return { start, end: new Date(start.getTime() + (range.durationMinutes ?? 0) * 60000) };
+}
+
+function clampInterval(interval, bounds) {
+  const start = interval.start > bounds.start ? interval.start : bounds.start;
+  const end = interval.end < bounds.end ? interval.end : bounds.end;
+  return start < end ? { start, end } : null;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(Boolean).sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && last.end >= interval.start) {
+      if (interval.end > last.end) {
+        last.end = interval.end;
+      }
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+    return merged;
+  }, []);
+}
+
+function intersectIntervals(intervals, others) {
+  return mergeIntervals(
+    intervals.flatMap(interval => others.map(other => clampInterval(interval, other)).filter(Boolean)),
+  );
+}
+
+function subtractIntervals(intervals, removals) {
+  return removals.reduce(
+    (remaining, removal) =>
+      remaining.flatMap(interval => {
+        if (removal.end <= interval.start || removal.start >= interval.end) {
+          return [interval];
+        }
+        return [
+          { start: interval.start, end: removal.start },
+          { start: removal.end, end: interval.end },
+        ].filter(piece => piece.start < piece.end);
+      }),
+    intervals,
+  );
+}
+
+function parseDateInput(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' || typeof value === 'string' ? new Date(value) : toDate(value);
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+async function runBookingTransition(context, data, transition) {
+  const uid = context.auth?.uid;
+  if (!uid) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage bookings.');
+  }
+
+  const bookingId = data?.bookingId;
+  if (typeof bookingId !== 'string' || !bookingId) {
+    throw new functions.https.HttpsError('invalid-argument', 'bookingId is required.');
+  }
+
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async transaction => {
+    const bookingSnap = await transaction.get(bookingRef);
+    if (!bookingSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Booking not found.');
+    }
+
+    const booking = { id: bookingSnap.id, ...bookingSnap.data() };
+    const studioSnap = booking.studioId ? await transaction.get(db.collection('studios').doc(booking.studioId)) : null;
+    const studioOwnerId = studioSnap?.exists ? studioSnap.data()?.ownerId || null : null;
+    const roles = {
+      isArtist: booking.artistId === uid,
+      isEngineer: booking.engineerId === uid,
+      isStudioOwner: Boolean(studioOwnerId) && studioOwnerId === uid,
+    };
+    assertBookingRole(roles.isArtist || roles.isEngineer || roles.isStudioOwner, 'You are not part of this booking.');
+
+    const now = Timestamp.now();
+    const { update, event } = await transition({ transaction, booking, roles, uid, now });
+
+    transaction.update(bookingRef, { ...update, updatedAt: now });
+    if (event) {
+      transaction.set(bookingRef.collection('timelineEvents').doc(), {
+        ...event,
+        createdBy: uid,
+        createdAt: now,
+      });
+    }
+
+    return { bookingId, status: update.status ?? booking.status };
+  });
+}
+
+function assertBookingRole(allowed, message) {
+  if (!allowed) {
+    throw new functions.https.HttpsError('permission-denied', message);
+  }
+}
+
+function assertBookingStatus(booking, statuses) {
+  if (!statuses.includes(booking.status)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `Bookings that are ${booking.status || 'unknown'} cannot be changed this way.`,
+    );
+  }
+}
+
+function assertNoBookingReasons(reasons) {
+  if (reasons.length > 0) {
+    throw new functions.https.HttpsError('failed-precondition', reasons[0].message, { reasons });
+  }
+}
+
+function cancelledBookingFields(booking, uid, now, kind, reason) {
+  return {
+    status: 'cancelled',
+    confirmedStart: null,
+    confirmedEnd: null,
+    'approval.requiresStudioApproval': false,
+    'approval.requiresEngineerApproval': false,
+    cancellation: {
+      kind,
+      previousStatus: booking.status,
+      cancelledBy: uid,
+      cancelledAt: now,
+      reason: typeof reason === 'string' && reason ? reason : null,
+    },
+  };
+}
+
+function statusChangeEvent(fromStatus, toStatus) {
+  return {
+    type: 'status_change',
+    message: `Status changed to ${toStatus.charAt(0).toUpperCase()}${toStatus.slice(1)}`,
+    fromStatus: fromStatus ?? null,
+    toStatus,
+  };
+}
+
+function bookingWindow(booking) {
+  return {
+    studioId: booking.studioId,
+    roomId: booking.roomId,
+    engineerId: booking.engineerId,
+    start: toDate(booking.confirmedStart || booking.requestedStart),
+    end: toDate(booking.confirmedEnd || booking.requestedEnd),
+  };
+}
+
+// Marks the tightest reminder window the session has entered as sent, along with
+// any wider window it skipped, so each reminder goes out at most once.
+async function claimSessionReminder(bookingRef, now) {
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(bookingRef);
+    const booking = snapshot.data();
+    const start = toDate(booking?.confirmedStart);
+    if (!booking || booking.status !== 'confirmed' || !start) {
+      return null;
+    }
+
+    const minutesUntilStart = (start.getTime() - now.getTime()) / 60000;
+    const reminder = SESSION_REMINDERS.find(candidate => minutesUntilStart <= candidate.leadMinutes);
+    if (!reminder || booking.remindersSent?.[reminder.key]) {
+      return null;
+    }
+
+    const sentAt = Timestamp.fromDate(now);
+    const update = { [`remindersSent.${reminder.key}`]: sentAt };
+    SESSION_REMINDERS.filter(
+      candidate => candidate.leadMinutes > reminder.leadMinutes && !booking.remindersSent?.[candidate.key],
+    ).forEach(candidate => {
+      update[`remindersSent.${candidate.key}`] = sentAt;
+    });
+
+    transaction.update(bookingRef, update);
+    transaction.set(bookingRef.collection('timelineEvents').doc(), {
+      type: 'reminder',
+      message: `Reminder sent: session starts ${reminder.label}`,
+      createdBy: SYSTEM_ACTOR_ID,
+      createdAt: sentAt,
+    });
+    return { booking, reminder };
+  });
+}
+
+async function sendSessionReminder(booking, bookingId, reminder) {
+  const startDate = toDate(booking.confirmedStart);
+  const payload = {
+    title: 'Upcoming session',
+    message: `Your session starts ${reminder.label} (${startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS)})`,
+    category: 'booking',
+    deeplink: `punchin://bookings/${bookingId}`,
+  };
+
+  const recipients = await resolveBookingRecipients(booking);
+  await Promise.all(recipients.map(userId => createAlert(userId, payload)));
+}
+
+function parseOpenSlotsRequest(data) {
+  const { studioId, roomId, engineerId = null } = data || {};
+  if (![studioId, roomId].every(value => typeof value === 'string' && value)) {
+    throw new functions.https.HttpsError('invalid-argument', 'studioId and roomId are required.');
+  }
+  if (engineerId !== null && (typeof engineerId !== 'string' || !engineerId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'engineerId must be a string when provided.');
+  }
+
+  const rangeStart = parseDateInput(data.startDate);
+  const rangeEnd = parseDateInput(data.endDate);
+  if (!rangeStart || !rangeEnd || rangeEnd <= rangeStart) {
+    throw new functions.https.HttpsError('invalid-argument', 'startDate and endDate must describe a valid range.');
+  }
+  if (rangeEnd.getTime() - rangeStart.getTime() > OPEN_SLOT_MAX_RANGE_DAYS * 24 * 60 * 60000) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Open slots can be requested for at most ${OPEN_SLOT_MAX_RANGE_DAYS} days at a time.`,
+    );
+  }
+
+  const granularityMinutes = Number(data.granularityMinutes ?? 30);
+  if (!OPEN_SLOT_GRANULARITIES.includes(granularityMinutes)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `granularityMinutes must be one of ${OPEN_SLOT_GRANULARITIES.join(', ')}.`,
+    );
+  }
+
+  const durationMinutes = Number(data.durationMinutes ?? 60);
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < BOOKING_MIN_DURATION_MINUTES ||
+    durationMinutes > BOOKING_MAX_DURATION_MINUTES
+  ) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Please choose a duration between 30 minutes and 12 hours.',
+    );
+  }
+
+  return { studioId, roomId, engineerId, rangeStart, rangeEnd, granularityMinutes, durationMinutes };
+}
+
+async function loadAvailabilitySources(query) {
+  const studioRef = db.collection('studios').doc(query.studioId);
+  const engineerRef = query.engineerId ? db.collection('users').doc(query.engineerId) : null;
+  const activeBookings = field =>
+    db.collection('bookings').where(field, '==', query[field]).where('status', 'in', ACTIVE_BOOKING_STATUSES).get();
+
+  const [studioSnap, studioAvailability, engineerAvailability, studioBookings, engineerBookings] = await Promise.all([
+    studioRef.get(),
+    studioRef.collection('availability').get(),
+    engineerRef ? engineerRef.collection('availability').get() : null,
+    activeBookings('studioId'),
+    engineerRef ? activeBookings('engineerId') : null,
+  ]);
+
+  if (!studioSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Studio not found.');
+  }
+
+  const toEntries = snapshot => (snapshot ? snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) : []);
+  const bookingsById = new Map();
+  [...toEntries(studioBookings), ...toEntries(engineerBookings)].forEach(booking => {
+    bookingsById.set(booking.id, booking);
+  });
+
+  return {
+    studio: { id: studioSnap.id, ...studioSnap.data() },
+    studioAvailability: toEntries(studioAvailability).filter(entry => !entry.roomId || entry.roomId === query.roomId),
+    engineerAvailability: toEntries(engineerAvailability),
+    bookings: Array.from(bookingsById.values()).filter(
+      booking =>
+        (booking.studioId === query.studioId && booking.roomId === query.roomId) ||
+        (query.engineerId && booking.engineerId === query.engineerId),
+    ),
+  };
+}
+
+// Open time for one day is the studio's operating hours, narrowed to the
+// recurring windows the studio and engineer publish (when they publish any),
+// minus blocks, holds, self-bookings and active bookings.
+function computeOpenIntervalsForDay(sources, day, timeZone, schedule) {
+  const dayBounds = { start: day.start, end: day.end };
+  const operatingHours = schedule.recurringHours
+    .filter(range => range.weekday === day.weekday)
+    .map(range => clampInterval(recurringIntervalForDay(range, day, timeZone), dayBounds));
+  let open = schedule.recurringHours.length === 0 ? [dayBounds] : mergeIntervals(operatingHours);
+
+  [sources.studioAvailability, sources.engineerAvailability].forEach(entries => {
+    const recurring = entries.filter(entry => (entry.kind ?? entry.type) === 'recurring');
+    if (recurring.length > 0) {
+      open = intersectIntervals(
+        open,
+        mergeIntervals(recurring.map(entry => availabilityIntervalForDay(entry, day, timeZone))),
+      );
+    }
+  });
+
+  const busy = mergeIntervals([
+    ...[...sources.studioAvailability, ...sources.engineerAvailability]
+      .filter(isBlockingAvailability)
+      .map(entry => availabilityIntervalForDay(entry, day, timeZone)),
+    ...sources.bookings.map(booking => {
+      const { start, end } = bookingWindow(booking);
+      return start && end ? clampInterval({ start, end }, dayBounds) : null;
+    }),
+  ]);
+
+  return subtractIntervals(open, busy);
+}
+
+function computeOpenSlots(sources, query) {
+  const schedule = resolveOperatingSchedule(sources.studio);
+  const { timeZone } = schedule;
+  const blackoutKeys = new Set(schedule.blackoutDates.map(date => zonedDateParts(date, timeZone).dateKey));
+  const earliest = new Date(Math.max(query.rangeStart.getTime(), Date.now()));
+  const stepMs = query.granularityMinutes * 60000;
+  const durationMs = query.durationMinutes * 60000;
+  const slots = [];
+
+  localDays(query.rangeStart, query.rangeEnd, timeZone)
+    .filter(day => !blackoutKeys.has(day.dateKey))
+    .forEach(day => {
+      computeOpenIntervalsForDay(sources, day, timeZone, schedule)
+        .map(interval => clampInterval(interval, { start: earliest, end: query.rangeEnd }))
+        .filter(Boolean)
+        .forEach(interval => {
+          const offset = interval.start.getTime() - day.start.getTime();
+          let slotStart = day.start.getTime() + Math.ceil(offset / stepMs) * stepMs;
+          while (slotStart + durationMs <= interval.end.getTime()) {
+            slots.push({ dateKey: day.dateKey, start: new Date(slotStart), end: new Date(slotStart + durationMs) });
+            slotStart += stepMs;
+          }
+        });
+    });
+
+  return slots;
+}
+
+// Snapshots are rebuilt for the owner's whole horizon on every change, so edits
+// to recurring rules (which touch every matching weekday) never leave stale days.
+// Bulk writes (a calendar import can add hundreds of entries) fire one trigger
+// per doc, so triggers only flag the owner and `processAvailabilitySnapshotRebuilds`
+// rebuilds each flagged owner once per run.
+async function queueAvailabilitySnapshotRebuild(scope, ownerId) {
+  const markerRef = db.collection(AVAILABILITY_SNAPSHOT_REBUILDS_COLLECTION).doc(`${scope}_${ownerId}`);
+  return db.runTransaction(async transaction => {
+    const markerSnap = await transaction.get(markerRef);
+    if (markerSnap.data()?.pending === true) {
+      return;
+    }
+    transaction.set(markerRef, { scope, ownerId, pending: true, requestedAt: Timestamp.now() }, { merge: true });
+  });
+}
+
+async function rebuildAvailabilitySnapshots(scope, ownerId) {
+  const ownerRef = db.collection(scope === 'studio' ? 'studios' : 'users').doc(ownerId);
+  const [ownerSnap, availabilitySnap, roomsSnap] = await Promise.all([
+    ownerRef.get(),
+    ownerRef.collection('availability').get(),
+    scope === 'studio' ? ownerRef.collection('rooms').get() : null,
+  ]);
+  if (!ownerSnap.exists) {
+    return null;
+  }
+
+  const entries = availabilitySnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const schedule =
+    scope === 'studio'
+      ? resolveOperatingSchedule(ownerSnap.data())
+      : { timeZone: await resolveEngineerTimeZone(ownerSnap.data()), recurringHours: [], blackoutDates: [] };
+  const { timeZone } = schedule;
+
+  const now = new Date();
+  const days = localDays(now, new Date(now.getTime() + AVAILABILITY_SNAPSHOT_DAYS * 24 * 60 * 60000), timeZone);
+  const blackoutKeys = new Set(schedule.blackoutDates.map(date => zonedDateParts(date, timeZone).dateKey));
+  const roomIds = roomsSnap ? roomsSnap.docs.map(doc => doc.id) : [];
+  const updatedAt = FieldValue.serverTimestamp();
+
+  const batch = db.batch();
+  days.forEach(day => {
+    const snapshot = {
+      scope,
+      ownerId,
+      dateKey: day.dateKey,
+      timeZone,
+      dayStart: Timestamp.fromDate(day.start),
+      dayEnd: Timestamp.fromDate(day.end),
+      updatedAt,
+    };
+
+    if (scope === 'studio') {
+      snapshot.isBlackout = blackoutKeys.has(day.dateKey);
+      snapshot.rooms = Object.fromEntries(
+        roomIds.map(roomId => {
+          const roomEntries = entries.filter(entry => !entry.roomId || entry.roomId === roomId);
+          const sources = { studioAvailability: roomEntries, engineerAvailability: [], bookings: [] };
+          const free = snapshot.isBlackout ? [] : computeOpenIntervalsForDay(sources, day, timeZone, schedule);
+          return [roomId, { free: serializeIntervals(free), busy: serializeBusyEntries(roomEntries, day, timeZone) }];
+        }),
+      );
+    } else {
+      const sources = { studioAvailability: [], engineerAvailability: entries, bookings: [] };
+      snapshot.free = serializeIntervals(computeOpenIntervalsForDay(sources, day, timeZone, schedule));
+      snapshot.busy = serializeBusyEntries(entries, day, timeZone);
+    }
+
+    batch.set(db.collection(AVAILABILITY_SNAPSHOTS_COLLECTION).doc(`${scope}_${ownerId}_${day.dateKey}`), snapshot);
+  });
+  return batch.commit();
+}
+
+async function resolveEngineerTimeZone(profile) {
+  const mainStudioId = resolveEngineerSettings(profile).mainStudioId;
+  if (!mainStudioId) {
+    return resolveTimeZone(profile?.timeZoneIdentifier);
+  }
+  const studioSnap = await db.collection('studios').doc(mainStudioId).get();
+  return resolveOperatingSchedule(studioSnap.data()).timeZone;
+}
+
+function serializeIntervals(intervals) {
+  return intervals.map(interval => ({
+    start: Timestamp.fromDate(interval.start),
+    end: Timestamp.fromDate(interval.end),
+  }));
+}
+
+function serializeBusyEntries(entries, day, timeZone) {
+  return entries
+    .filter(isBlockingAvailability)
+    .map(entry => ({ entry, interval: availabilityIntervalForDay(entry, day, timeZone) }))
+    .filter(({ interval }) => interval)
+    .sort((a, b) => a.interval.start - b.interval.start)
+    .map(({ entry, interval }) => ({
+      start: Timestamp.fromDate(interval.start),
+      end: Timestamp.fromDate(interval.end),
+      kind: entry.kind ?? entry.type,
+      entryId: entry.id,
+      roomId: entry.roomId ?? null,
+      sourceBookingId: entry.sourceBookingId ?? null,
+    }));
+}
+
+async function buildCalendarFeedEvents(userId) {
+  const now = Date.now();
+  const feedWindow = {
+    start: new Date(now - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60000),
+    end: new Date(now + CALENDAR_FEED_FUTURE_DAYS * 24 * 60 * 60000),
+  };
+
+  const [profileSnap, ownedStudiosSnap, userAvailabilitySnap] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    db.collection('studios').where('ownerId', '==', userId).get(),
+    db.collection('users').doc(userId).collection('availability').get(),
+  ]);
+  const studios = new Map(ownedStudiosSnap.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+  const ownedStudioIds = Array.from(studios.keys());
+
+  const bookingQueries = [
+    db.collection('bookings').where('artistId', '==', userId).get(),
+    db.collection('bookings').where('engineerId', '==', userId).get(),
+    ...chunk(ownedStudioIds, 30).map(ids => db.collection('bookings').where('studioId', 'in', ids).get()),
+  ];
+  const bookings = new Map();
+  (await Promise.all(bookingQueries)).forEach(snapshot =>
+    snapshot.docs.forEach(doc => bookings.set(doc.id, { id: doc.id, ...doc.data() })),
+  );
+
+  const missingStudioIds = Array.from(new Set(Array.from(bookings.values()).map(booking => booking.studioId)))
+    .filter(studioId => studioId && !studios.has(studioId));
+  const missingStudios = await Promise.all(
+    missingStudioIds.map(studioId => db.collection('studios').doc(studioId).get()),
+  );
+  missingStudios
+    .filter(snapshot => snapshot.exists)
+    .forEach(snapshot => studios.set(snapshot.id, { id: snapshot.id, ...snapshot.data() }));
+
+  const events = Array.from(bookings.values())
+    .map(booking => bookingCalendarEvent(booking, studios.get(booking.studioId)))
+    .filter(event => event && event.end >= feedWindow.start && event.start <= feedWindow.end);
+
+  const availabilitySources = [
+    {
+      ownerId: userId,
+      entries: userAvailabilitySnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      timeZone: await resolveEngineerTimeZone(profileSnap.data()),
+    },
+    ...(await Promise.all(
+      ownedStudioIds.map(async studioId => ({
+        ownerId: studioId,
+        entries: (await db.collection('studios').doc(studioId).collection('availability').get()).docs.map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+        })),
+        timeZone: resolveOperatingSchedule(studios.get(studioId)).timeZone,
+        studio: studios.get(studioId),
+      })),
+    )),
+  ];
+
+  const recurringDays = new Date(now + CALENDAR_FEED_RECURRING_DAYS * 24 * 60 * 60000);
+  availabilitySources.forEach(({ ownerId, entries, timeZone, studio }) => {
+    entries
+      .filter(isBlockingAvailability)
+      .filter(entry => !(entry.sourceBookingId && bookings.has(entry.sourceBookingId)))
+      // Imported blocks already live in the subscriber's own calendar.
+      .filter(entry => entry.source?.type !== 'calendarImport')
+      .forEach(entry => {
+        const interval = availabilityInterval(entry);
+        if (interval) {
+          if (interval.end >= feedWindow.start && interval.start <= feedWindow.end) {
+            events.push(availabilityCalendarEvent(entry, interval, studio, `${ownerId}-${entry.id}`));
+          }
+          return;
+        }
+
+        localDays(new Date(now), recurringDays, timeZone).forEach(day => {
+          const occurrence = availabilityIntervalForDay(entry, day, timeZone);
+          if (occurrence) {
+            events.push(
+              availabilityCalendarEvent(entry, occurrence, studio, `${ownerId}-${entry.id}-${day.dateKey}`),
+            );
+          }
+        });
+      });
+  });
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+function bookingCalendarEvent(booking, studio) {
+  const details = describeBooking(booking, booking.id);
+  if (!details.startDate || !details.endDate) {
+    return null;
+  }
+
+  const studioName = studio?.name || 'Studio';
+  return {
+    uid: `booking-${booking.id}@punch-in`,
+    start: details.startDate,
+    end: details.endDate,
+    stamp: toDate(booking.updatedAt) || new Date(),
+    lastModified: toDate(booking.updatedAt),
+    summary: `Session at ${studioName}`,
+    description: [details.message, booking.notes, details.deeplink].filter(Boolean).join('\n'),
+    location: [studio?.address, studio?.city].filter(Boolean).join(', '),
+    url: details.deeplink,
+    status: ICS_EVENT_STATUS[booking.status] || 'TENTATIVE',
+  };
+}
+
+function availabilityCalendarEvent(entry, interval, studio, uidKey) {
+  const kind = entry.kind ?? entry.type;
+  const summaries = {
+    block: 'Unavailable',
+    bookingHold: 'Booked session',
+    selfBooking: 'Self-booked session',
+  };
+  return {
+    uid: `availability-${uidKey}@punch-in`,
+    start: interval.start,
+    end: interval.end,
+    stamp: toDate(entry.updatedAt) || new Date(),
+    lastModified: toDate(entry.updatedAt),
+    summary: studio?.name ? `${summaries[kind]} · ${studio.name}` : summaries[kind],
+    description: entry.notes || '',
+    url: entry.sourceBookingId ? `punchin://bookings/${entry.sourceBookingId}` : null,
+    status: 'CONFIRMED',
+  };
+}
+
+function parseCalendarImportSource(data, userId) {
+  if (typeof data?.url === 'string' && data.url.trim()) {
+    let url;
+    try {
+      url = new URL(data.url.trim().replace(/^webcal:\/\//i, 'https://'));
+    } catch {
+      throw new functions.https.HttpsError('invalid-argument', 'url must be a valid calendar link.');
+    }
+    if (url.protocol !== 'https:') {
+      throw new functions.https.HttpsError('invalid-argument', 'Calendar links must use https or webcal.');
+    }
+    return { sourceType: 'url', url: url.toString(), storagePath: null };
+  }
+
+  if (typeof data?.storagePath === 'string' && data.storagePath.trim()) {
+    const storagePath = data.storagePath.trim();
+    if (!storagePath.startsWith(`users/${userId}/calendars/`) || storagePath.includes('..')) {
+      throw new functions.https.HttpsError('invalid-argument', 'storagePath must point at one of your uploaded calendars.');
+    }
+    return { sourceType: 'upload', url: null, storagePath };
+  }
+
+  throw new functions.https.HttpsError('invalid-argument', 'Provide either a calendar url or an uploaded storagePath.');
+}
+
+async function syncCalendarImport(importSnap) {
+  const userId = importSnap.ref.parent.parent.id;
+  const importId = importSnap.id;
+  const availability = db.collection('users').doc(userId).collection('availability');
+
+  try {
+    const [text, profileSnap, existingSnap] = await Promise.all([
+      loadCalendarSource(importSnap.data()),
+      db.collection('users').doc(userId).get(),
+      availability.where('source.importId', '==', importId).get(),
+    ]);
+    const calendar = parseCalendar(text);
+    const defaultTimeZone = calendar.timeZone
+      ? resolveTimeZone(calendar.timeZone)
+      : await resolveEngineerTimeZone(profileSnap.data());
+
+    const now = Date.now();
+    const occurrences = expandEvents(calendar, {
+      rangeStart: new Date(now - CALENDAR_IMPORT_PAST_DAYS * 24 * 60 * 60000),
+      rangeEnd: new Date(now + CALENDAR_IMPORT_FUTURE_DAYS * 24 * 60 * 60000),
+      toInstant: value => calendarValueToDate(value, defaultTimeZone),
+    })
+      .filter(occurrence => occurrence.end > occurrence.start)
+      .slice(0, CALENDAR_IMPORT_MAX_EVENTS);
+
+    const existing = new Map(existingSnap.docs.map(doc => [doc.id, doc.data()]));
+    const writes = [];
+    occurrences.forEach(occurrence => {
+      const key = createHash('sha1').update(`${occurrence.uid}|${occurrence.recurrenceKey}`).digest('hex');
+      const entryId = `import_${importId}_${key}`;
+      const current = existing.get(entryId);
+      existing.delete(entryId);
+
+      const fields = {
+        kind: 'block',
+        ownerId: userId,
+        engineerId: userId,
+        startDate: Timestamp.fromDate(occurrence.start),
+        endDate: Timestamp.fromDate(occurrence.end),
+        durationMinutes: Math.round((occurrence.end - occurrence.start) / 60000),
+        notes: occurrence.summary.slice(0, 200),
+      };
+      const unchanged =
+        current &&
+        toDate(current.startDate)?.getTime() === occurrence.start.getTime() &&
+        toDate(current.endDate)?.getTime() === occurrence.end.getTime() &&
+        current.notes === fields.notes;
+      if (unchanged) {
+        return;
+      }
+
+      writes.push(batch =>
+        batch.set(availability.doc(entryId), {
+          ...fields,
+          createdBy: SYSTEM_ACTOR_ID,
+          source: {
+            type: 'calendarImport',
+            importId,
+            eventUid: occurrence.uid,
+            recurrenceKey: occurrence.recurrenceKey,
+          },
+          createdAt: current?.createdAt ?? FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        }),
+      );
+    });
+    // Anything left over disappeared upstream (or moved out of the import window).
+    existing.forEach((entry, entryId) => writes.push(batch => batch.delete(availability.doc(entryId))));
+
+    await commitInBatches(writes);
+    await importSnap.ref.update({
+      status: 'synced',
+      lastError: null,
+      lastSyncedAt: FieldValue.serverTimestamp(),
+      eventCount: occurrences.length,
+    });
+  } catch (error) {
+    await importSnap.ref.update({
+      status: 'error',
+      lastError: error.message || 'Calendar sync failed.',
+      lastSyncedAt: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+async function loadCalendarSource(calendarImport) {
+  if (calendarImport.sourceType === 'upload') {
+    const file = getStorage().bucket().file(calendarImport.storagePath);
+    const [metadata] = await file.getMetadata();
+    if (Number(metadata.size) > CALENDAR_IMPORT_MAX_BYTES) {
+      throw new Error('Calendar file is too large.');
+    }
+    const [contents] = await file.download();
+    return contents.toString('utf8');
+  }
+
+  // Redirects are followed by hand so every hop is re-checked, and the socket only
+  // ever connects to an address that `publicAddressLookup` has already vetted.
+  const signal = AbortSignal.timeout(CALENDAR_IMPORT_FETCH_TIMEOUT_MS);
+  let url = new URL(calendarImport.url);
+  for (let hop = 0; hop <= CALENDAR_IMPORT_MAX_REDIRECTS; hop += 1) {
+    if (url.protocol !== 'https:') {
+      throw new Error('Calendar links must use https.');
+    }
+    // IP literals never reach the lookup, so they are checked here.
+    const literal = url.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(literal) && isPrivateAddress(literal)) {
+      throw new Error('Calendar links must point at a public host.');
+    }
+
+    const response = await requestCalendar(url, signal);
+    if (REDIRECT_STATUS_CODES.includes(response.statusCode) && response.headers.location) {
+      response.resume();
+      url = new URL(response.headers.location, url);
+      continue;
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw new Error(`Calendar download failed with status ${response.statusCode}.`);
+    }
+    return readCalendarBody(response);
+  }
+  throw new Error('Calendar link redirected too many times.');
+}
+
+function requestCalendar(url, signal) {
+  return new Promise((resolve, reject) => {
+    httpsGet(url, { headers: { Accept: 'text/calendar' }, lookup: publicAddressLookup, signal }, resolve).on(
+      'error',
+      reject,
+    );
+  });
+}
+
+async function readCalendarBody(response) {
+  if (Number(response.headers['content-length']) > CALENDAR_IMPORT_MAX_BYTES) {
+    response.destroy();
+    throw new Error('Calendar file is too large.');
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > CALENDAR_IMPORT_MAX_BYTES) {
+      response.destroy();
+      throw new Error('Calendar file is too large.');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Loopback, private, link-local (including the metadata server), CGNAT, unique-local
+// and multicast ranges. BlockList also matches IPv4-mapped IPv6 against the IPv4 rules.
+const PRIVATE_NETWORKS = new BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+].forEach(([network, prefix, type]) => PRIVATE_NETWORKS.addSubnet(network, prefix, type));
+
+function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family === 0 || PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function publicAddressLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      callback(new Error('Calendar links must point at a public host.'));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+async function commitInBatches(writes) {
+  for (let index = 0; index < writes.length; index += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(index, index + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+function parseWaitlistRequest(data) {
+  const { studioId, roomId = null, engineerId = null } = data || {};
+  if (typeof studioId !== 'string' || !studioId) {
+    throw new functions.https.HttpsError('invalid-argument', 'studioId is required.');
+  }
+  if ([roomId, engineerId].some(value => value !== null && (typeof value !== 'string' || !value))) {
+    throw new functions.https.HttpsError('invalid-argument', 'roomId and engineerId must be strings when provided.');
+  }
+
+  const windowStart = parseDateInput(data.startDate);
+  const windowEnd = parseDateInput(data.endDate);
+  if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+    throw new functions.https.HttpsError('invalid-argument', 'startDate and endDate must describe a valid range.');
+  }
+  if (windowEnd.getTime() <= Date.now()) {
+    throw new functions.https.HttpsError('invalid-argument', 'The waitlist window has already passed.');
+  }
+  if (windowEnd.getTime() - windowStart.getTime() > WAITLIST_MAX_WINDOW_DAYS * 24 * 60 * 60000) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Waitlist windows can span at most ${WAITLIST_MAX_WINDOW_DAYS} days.`,
+    );
+  }
+
+  return { studioId, roomId, engineerId, windowStart, windowEnd, autoHold: data.autoHold === true };
+}
+
+// Entries are served first come, first served. When the first match opted into
+// auto-hold the slot is reserved for them alone; otherwise everyone is alerted.
+async function offerSlotToWaitlist(slot) {
+  const now = new Date();
+  const waitingSnap = await db
+    .collection(WAITLIST_COLLECTION)
+    .where('studioId', '==', slot.studioId)
+    .where('status', '==', 'waiting')
+    .get();
+  const matches = waitingSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .map(entry => ({ entry, offer: waitlistOffer(entry, slot, now) }))
+    .filter(({ offer }) => offer)
+    .sort((a, b) => (toDate(a.entry.createdAt)?.getTime() ?? 0) - (toDate(b.entry.createdAt)?.getTime() ?? 0));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const [first] = matches;
+  const hold = first.entry.autoHold ? await placeWaitlistHold(first.entry, slot, first.offer) : null;
+  if (hold === 'conflict') {
+    // Something else already took the slot, so there is nothing to offer.
+    return null;
+  }
+  if (hold === 'held') {
+    const formattedDate = first.offer.start.toLocaleString('en-US', DATE_FORMAT_OPTIONS);
+    return createAlert(first.entry.artistId, {
+      title: 'A session is on hold for you',
+      message: `We're holding ${formattedDate} for ${WAITLIST_HOLD_MINUTES} minutes. Book it before it goes to the next artist.`,
+      category: 'booking',
+      deeplink: waitlistDeeplink(first.entry, first.offer),
+    });
+  }
+
+  for (const { entry, offer } of matches) {
+    await db.collection(WAITLIST_COLLECTION).doc(entry.id).update({
+      lastNotifiedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    const formattedDate = offer.start.toLocaleString('en-US', DATE_FORMAT_OPTIONS);
+    await createAlert(entry.artistId, {
+      title: 'A session opened up',
+      message: `${formattedDate} is now available. Book it before someone else does.`,
+      category: 'booking',
+      deeplink: waitlistDeeplink(entry, offer),
+    });
+  }
+  return null;
+}
+
+// The part of the freed slot that is still in the future and inside the entry's window.
+function waitlistOffer(entry, slot, now) {
+  if ((entry.roomId && entry.roomId !== slot.roomId) || (entry.engineerId && entry.engineerId !== slot.engineerId)) {
+    return null;
+  }
+  const offer = clampInterval(
+    { start: slot.start, end: slot.end },
+    {
+      start: new Date(Math.max(toDate(entry.windowStart).getTime(), now.getTime())),
+      end: toDate(entry.windowEnd),
+    },
+  );
+  if (!offer || offer.end - offer.start < BOOKING_MIN_DURATION_MINUTES * 60000) {
+    return null;
+  }
+  return { ...offer, studioId: slot.studioId, roomId: slot.roomId, engineerId: slot.engineerId };
+}
+
+// Resolves to 'held', 'conflict' when the offered window overlaps a booking or block
+// the same way `ensureBookingHolds` checks, or null when the entry is no longer waiting.
+async function placeWaitlistHold(entry, slot, offer) {
+  const entryRef = db.collection(WAITLIST_COLLECTION).doc(entry.id);
+  const studioRef = db.collection('studios').doc(slot.studioId);
+  const engineerRef = entry.engineerId ? db.collection('users').doc(entry.engineerId) : null;
+  const holdId = `waitlist_${entry.id}`;
+  const expiresAt = Timestamp.fromMillis(Date.now() + WAITLIST_HOLD_MINUTES * 60000);
+
+  return db.runTransaction(async transaction => {
+    const [entrySnap, studioSnap, studioAvailability, engineerAvailability] = await Promise.all([
+      transaction.get(entryRef),
+      transaction.get(studioRef),
+      transaction.get(studioRef.collection('availability')),
+      engineerRef ? transaction.get(engineerRef.collection('availability')) : null,
+    ]);
+    if (entrySnap.data()?.status !== 'waiting') {
+      return null;
+    }
+
+    const timeZone = resolveOperatingSchedule(studioSnap.data()).timeZone;
+    // The freeing booking's holds may not be cleared or moved yet. They only count once
+    // they sit on the booking's current window, which means it's still active there.
+    const isStaleBookingHold = entry => {
+      if (!slot.bookingId || (entry.id !== slot.bookingId && entry.sourceBookingId !== slot.bookingId)) {
+        return false;
+      }
+      const interval = availabilityInterval(entry);
+      return !slot.activeWindow || !interval || !clampInterval(interval, slot.activeWindow);
+    };
+    const toEntries = snapshot =>
+      (snapshot ? snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) : []).filter(
+        entry => entry.id !== holdId && !isStaleBookingHold(entry),
+      );
+    const conflicts = [
+      ...overlappingAvailability(toEntries(studioAvailability), offer, timeZone, { roomId: slot.roomId }),
+      ...overlappingAvailability(toEntries(engineerAvailability), offer, timeZone),
+    ];
+    if (conflicts.length > 0) {
+      return 'conflict';
+    }
+
+    const holdEntry = {
+      kind: 'bookingHold',
+      roomId: slot.roomId,
+      startDate: Timestamp.fromDate(offer.start),
+      endDate: Timestamp.fromDate(offer.end),
+      durationMinutes: Math.round((offer.end - offer.start) / 60000),
+      createdBy: SYSTEM_ACTOR_ID,
+      notes: 'Held for a waitlisted artist',
+      waitlistHold: { entryId: entry.id, artistId: entry.artistId, expiresAt },
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    transaction.set(studioRef.collection('availability').doc(holdId), {
+      ...holdEntry,
+      ownerId: slot.studioId,
+      studioId: slot.studioId,
+    });
+    // Only hold the engineer when the artist asked for that engineer specifically.
+    if (entry.engineerId) {
+      transaction.set(engineerRef.collection('availability').doc(holdId), {
+        ...holdEntry,
+        ownerId: entry.engineerId,
+        engineerId: entry.engineerId,
+        studioId: slot.studioId,
+      });
+    }
+
+    transaction.update(entryRef, {
+      status: 'held',
+      hold: {
+        roomId: slot.roomId,
+        engineerId: slot.engineerId,
+        engineerHeld: Boolean(entry.engineerId),
+        start: Timestamp.fromDate(offer.start),
+        end: Timestamp.fromDate(offer.end),
+        expiresAt,
+      },
+      lastNotifiedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return 'held';
+  });
+}
+
+async function releaseWaitlistHold(entry, status) {
+  const holdId = `waitlist_${entry.id}`;
+  const batch = db.batch();
+  batch.delete(db.collection('studios').doc(entry.studioId).collection('availability').doc(holdId));
+  if (entry.hold?.engineerHeld) {
+    batch.delete(db.collection('users').doc(entry.engineerId).collection('availability').doc(holdId));
+  }
+  batch.update(db.collection(WAITLIST_COLLECTION).doc(entry.id), {
+    status,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  return batch.commit();
+}
+
+// Lets an artist book over their own waitlist holds; the holds are deleted and
+// the entry marked booked in the same transaction that creates the booking.
+function claimWaitlistHolds(bookingContext, request, artistId) {
+  const isOwnHold = entry => {
+    const interval = entry.waitlistHold?.artistId === artistId ? availabilityInterval(entry) : null;
+    return Boolean(interval && interval.start < request.end && interval.end > request.start);
+  };
+  const studioRef = db.collection('studios').doc(request.studioId);
+  const engineerRef = db.collection('users').doc(request.engineerId);
+  const claimed = [
+    ...bookingContext.studioAvailability
+      .filter(isOwnHold)
+      .map(entry => ({ entry, ref: studioRef.collection('availability').doc(entry.id) })),
+    ...bookingContext.engineerAvailability
+      .filter(isOwnHold)
+      .map(entry => ({ entry, ref: engineerRef.collection('availability').doc(entry.id) })),
+  ];
+
+  bookingContext.studioAvailability = bookingContext.studioAvailability.filter(entry => !isOwnHold(entry));
+  bookingContext.engineerAvailability = bookingContext.engineerAvailability.filter(entry => !isOwnHold(entry));
+  return claimed;
+}
+
+function waitlistHoldSlot(entry) {
+  return {
+    studioId: entry.studioId,
+    roomId: entry.hold?.roomId ?? entry.roomId,
+    engineerId: entry.hold?.engineerId ?? entry.engineerId,
+    start: toDate(entry.hold?.start),
+    end: toDate(entry.hold?.end),
+  };
+}
+
+function waitlistDeeplink(entry, offer) {
+  const params = new URLSearchParams({ waitlistEntryId: entry.id });
+  if (offer.roomId) {
+    params.set('roomId', offer.roomId);
+  }
+  if (offer.engineerId) {
+    params.set('engineerId', offer.engineerId);
+  }
+  if (offer.start) {
+    params.set('start', offer.start.toISOString());
+  }
+  return `punchin://studios/${entry.studioId}?${params.toString()}`;
+}
+
+async function upcomingEngineerBookings(studioId, engineerId) {
+  const now = Date.now();
+  const bookingsSnap = await db.collection('bookings').where('engineerId', '==', engineerId).get();
+  return bookingsSnap.docs.filter(doc => {
+    const booking = doc.data();
+    return (
+      booking.studioId === studioId &&
+      ACTIVE_BOOKING_STATUSES.includes(booking.status) &&
+      bookingWindow(booking).start?.getTime() > now
+    );
+  });
+}
+
+// Leaves the bookings in place but marks them so the studio can reassign or
+// cancel them; the artist keeps their session until someone acts on it.
+async function flagBookingsForMembershipReview(studioId, engineerId) {
+  const bookingDocs = await upcomingEngineerBookings(studioId, engineerId);
+  const now = Timestamp.now();
+  await commitInBatches(
+    bookingDocs.flatMap(doc => [
+      batch =>
+        batch.update(doc.ref, {
+          membershipReview: { state: 'required', reason: 'engineer_removed', flaggedAt: now },
+          updatedAt: now,
+        }),
+      batch =>
+        batch.set(doc.ref.collection('timelineEvents').doc(), {
+          type: 'note',
+          message: 'Engineer left the studio; this session needs review',
+          createdBy: SYSTEM_ACTOR_ID,
+          createdAt: now,
+        }),
+    ]),
+  );
+  return bookingDocs.length;
+}
+
+async function clearMembershipReviews(studioId, engineerId) {
+  const bookingDocs = (await upcomingEngineerBookings(studioId, engineerId)).filter(
+    doc => doc.data().membershipReview?.state === 'required',
+  );
+  await commitInBatches(
+    bookingDocs.map(doc => batch => batch.update(doc.ref, { membershipReview: FieldValue.delete() })),
+  );
+}
+
+function resolvePaymentAmount(booking, kind) {
+  const total = booking.pricing?.total;
+  if (booking.selfBooking || !(total > 0)) {
+    return 0;
+  }
+  const payment = booking.payment || {};
+  if (kind === 'deposit') {
+    return booking.status === 'pending' && payment.state === 'awaiting_deposit'
+      ? roundCurrency((total * payment.depositPercent) / 100)
+      : 0;
+  }
+  if (!['confirmed', 'completed'].includes(booking.status)) {
+    return 0;
+  }
+  return roundCurrency(Math.max(0, total - (payment.amountPaid ?? 0)));
+}
+
+function paymentResponse(paymentId, payment) {
+  return {
+    paymentId,
+    clientSecret: payment.clientSecret,
+    amount: payment.amount,
+    currency: payment.currency,
+    provider: payment.provider,
+  };
+}
+
+async function applyPaymentEvent(event) {
+  const paymentsSnap = await db
+    .collection(PAYMENTS_COLLECTION)
+    .where('providerIntentId', '==', event.paymentIntentId)
+    .limit(1)
+    .get();
+  if (paymentsSnap.empty) {
+    return;
+  }
+  const paymentRef = paymentsSnap.docs[0].ref;
+  const eventRef = db.collection(PAYMENT_EVENTS_COLLECTION).doc(`${payments.name}_${event.id}`);
+
+  const outcome = await db.runTransaction(async transaction => {
+    const [eventSnap, paymentSnap] = await Promise.all([transaction.get(eventRef), transaction.get(paymentRef)]);
+    const payment = paymentSnap.data();
+    if (eventSnap.exists) {
+      return eventSnap.data().refundPending ? { payment, bookingCancelled: true } : null;
+    }
+    if (payment.status === 'succeeded') {
+      return null;
+    }
+    const bookingRef = db.collection('bookings').doc(payment.bookingId);
+    const bookingSnap = await transaction.get(bookingRef);
+
+    const now = Timestamp.now();
+    const refundPending = event.type !== 'payment.failed' && bookingSnap.data()?.status === 'cancelled';
+    transaction.set(eventRef, { type: event.type, paymentId: paymentRef.id, refundPending, receivedAt: now });
+
+    if (event.type === 'payment.failed') {
+      transaction.update(paymentRef, {
+        status: 'failed',
+        failureMessage: event.failureMessage || null,
+        updatedAt: now,
+      });
+      return { payment, failed: true };
+    }
+
+    const amount = event.amount ?? payment.amount;
+    transaction.update(paymentRef, { status: 'succeeded', amount, paidAt: now, updatedAt: now });
+    if (!bookingSnap.exists) {
+      return null;
+    }
+
+    const booking = bookingSnap.data();
+    const amountPaid = roundCurrency((booking.payment?.amountPaid ?? 0) + amount);
+    const awaitingDeposit = booking.payment?.state === 'awaiting_deposit' && payment.kind === 'deposit';
+    const update = {
+      payment: {
+        depositPercent: 0,
+        amountRefunded: 0,
+        depositPaidAt: null,
+        ...booking.payment,
+        state: amountPaid >= (booking.pricing?.total ?? 0) ? 'paid' : 'deposit_paid',
+        amountPaid,
+        ...(awaitingDeposit ? { depositPaidAt: now } : {}),
+      },
+      updatedAt: now,
+    };
+    let timelineEvent = {
+      type: 'note',
+      message: `Payment received (${amount.toFixed(2)} ${payment.currency})`,
+    };
+
+    const approvalsCleared = !booking.approval?.requiresStudioApproval && !booking.approval?.requiresEngineerApproval;
+    if (awaitingDeposit && booking.status === 'pending' && approvalsCleared) {
+      Object.assign(update, {
+        status: 'confirmed',
+        confirmedStart: booking.requestedStart,
+        confirmedEnd: booking.requestedEnd,
+      });
+      timelineEvent = {
+        ...statusChangeEvent(booking.status, 'confirmed'),
+        message: 'Deposit received; booking confirmed',
+      };
+    }
+
+    transaction.update(bookingRef, update);
+    transaction.set(bookingRef.collection('timelineEvents').doc(), {
+      ...timelineEvent,
+      createdBy: SYSTEM_ACTOR_ID,
+      createdAt: now,
+    });
+    return { payment, bookingCancelled: booking.status === 'cancelled' };
+  });
+
+  if (outcome?.failed) {
+    await createAlert(outcome.payment.payerId, {
+      title: 'Payment failed',
+      message: event.failureMessage || "Your payment for the session didn't go through. Try again from the booking.",
+      category: 'booking',
+      deeplink: `punchin://bookings/${outcome.payment.bookingId}`,
+    });
+  } else if (outcome?.bookingCancelled) {
+    // The money landed after the booking was cancelled, so send it straight back.
+    await refundBookingPayments(outcome.payment.bookingId);
+    await eventRef.update({ refundPending: false });
+  }
+}
+
+// Refunds whatever was paid beyond the cancellation fee, newest payments first so
+// the fee stays on the earliest ones. Each refund is keyed on the payment and what
+// it had refunded so far: a re-run repeats the same refund, a later one gets a new key.
+async function refundBookingPayments(bookingId) {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const [bookingSnap, paymentsSnap] = await Promise.all([
+    bookingRef.get(),
+    db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).where('status', '==', 'succeeded').get(),
+  ]);
+  const booking = bookingSnap.data();
+  if (!booking || paymentsSnap.empty) {
+    return null;
+  }
+
+  const netPaid = roundCurrency(
+    paymentsSnap.docs.reduce((sum, doc) => sum + doc.data().amount - (doc.data().amountRefunded ?? 0), 0),
+  );
+  let remaining = roundCurrency(Math.max(0, netPaid - (booking.cancellation?.fee?.amount ?? 0)));
+  let refunded = 0;
+  const now = Timestamp.now();
+
+  const paidMillis = doc => toDate(doc.data().paidAt ?? doc.data().createdAt)?.getTime() ?? 0;
+  const newestFirst = [...paymentsSnap.docs].sort((a, b) => paidMillis(b) - paidMillis(a));
+  for (const doc of newestFirst) {
+    const payment = doc.data();
+    const alreadyRefunded = payment.amountRefunded ?? 0;
+    const amount = roundCurrency(Math.min(remaining, payment.amount - alreadyRefunded));
+    if (!(amount > 0)) {
+      continue;
+    }
+    const refund = await payments.refund({
+      paymentIntentId: payment.providerIntentId,
+      amount,
+      currency: payment.currency,
+      idempotencyKey: `${doc.id}_refund_${roundCurrency(alreadyRefunded)}`,
+    });
+    await doc.ref.update({
+      amountRefunded: roundCurrency(alreadyRefunded + amount),
+      refunds: FieldValue.arrayUnion({
+        id: refund.id,
+        amount,
+        status: refund.status,
+        reason: 'cancellation',
+        createdAt: now,
+      }),
+      updatedAt: now,
+    });
+    refunded = roundCurrency(refunded + amount);
+    remaining = roundCurrency(remaining - amount);
+  }
+
+  if (refunded === 0) {
+    return null;
+  }
+  const currency = paymentsSnap.docs[0].data().currency;
+  await Promise.all([
+    bookingRef.update({
+      'payment.amountRefunded': roundCurrency((booking.payment?.amountRefunded ?? 0) + refunded),
+      'payment.state': refunded >= netPaid ? 'refunded' : 'partially_refunded',
+      updatedAt: now,
+    }),
+    createAlert(booking.artistId, {
+      title: 'Refund issued',
+      message: `${refunded.toFixed(2)} ${currency} is on its way back for your cancelled session.`,
+      category: 'booking',
+      deeplink: `punchin://bookings/${bookingId}`,
+    }),
+  ]);
+  return null;
+}
+
+// Ledger accounts carry `balance = credits - debits`: `cash_{studioId}` is money
+// the studio holds, `booking_{bookingId}` is paid but not yet earned, and
+// `earnings_{userId}` is what the studio owes that user.
+function ledgerAccount(type, ownerId) {
+  return `${type}_${ownerId}`;
+}
+
+function ledgerAccountChange(entry, account) {
+  return roundCurrency(
+    (entry.lines || [])
+      .filter(line => line.account === account)
+      .reduce((sum, line) => sum + (line.credit ?? 0) - (line.debit ?? 0), 0),
+  );
+}
+
+// Runs `build(transaction)` (which may read) and posts the entry it returns,
+// at most once per `entryId`.
+async function postLedgerTransaction(entryId, build) {
+  const entryRef = db.collection(LEDGER_ENTRIES_COLLECTION).doc(entryId);
+  return db.runTransaction(async transaction => {
+    const entrySnap = await transaction.get(entryRef);
+    if (entrySnap.exists) {
+      return null;
+    }
+    const entry = await build(transaction);
+    if (entry) {
+      writeLedgerEntry(transaction, entryRef, entry);
+    }
+    return null;
+  });
+}
+
+function writeLedgerEntry(transaction, entryRef, entry) {
+  const lines = entry.lines
+    .map(line => ({
+      account: line.account,
+      userId: line.userId ?? null,
+      debit: roundCurrency(line.debit ?? 0),
+      credit: roundCurrency(line.credit ?? 0),
+    }))
+    .filter(line => line.debit > 0 || line.credit > 0);
+  const debits = roundCurrency(lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundCurrency(lines.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger entry ${entryRef.id}: ${debits} != ${credits}`);
+  }
+
+  const now = Timestamp.now();
+  transaction.set(entryRef, {
+    ...entry,
+    lines,
+    accounts: Array.from(new Set(lines.map(line => line.account))),
+    userIds: Array.from(new Set(lines.map(line => line.userId).filter(Boolean))),
+    amount: debits,
+    createdAt: now,
+  });
+
+  lines.forEach(line => {
+    const change = roundCurrency(line.credit - line.debit);
+    const [type] = line.account.split('_');
+    transaction.set(
+      db.collection(LEDGER_ACCOUNTS_COLLECTION).doc(line.account),
+      {
+        type,
+        ...(line.userId ? { userId: line.userId } : {}),
+        currency: entry.currency,
+        balance: FieldValue.increment(change),
+        totalDebits: FieldValue.increment(line.debit),
+        totalCredits: FieldValue.increment(line.credit),
+        ...(type === 'earnings' && entry.studioId
+          ? { byStudio: { [entry.studioId]: FieldValue.increment(change) } }
+          : {}),
+        updatedAt: now,
+      },
+      { merge: true },
+    );
+  });
+}
+
+// Moves money held for a booking into the studio owner's and engineer's
+// earnings: everything once the session is completed, or up to the
+// cancellation fee when it was cancelled with one.
+function recognizeBookingEarnings(bookingId, entryId) {
+  return postLedgerTransaction(entryId, async transaction => {
+    const bookingAccountRef = db.collection(LEDGER_ACCOUNTS_COLLECTION).doc(ledgerAccount('booking', bookingId));
+    const [bookingSnap, bookingAccountSnap] = await Promise.all([
+      transaction.get(db.collection('bookings').doc(bookingId)),
+      transaction.get(bookingAccountRef),
+    ]);
+    const booking = bookingSnap.data();
+    const held = roundCurrency(bookingAccountSnap.data()?.balance ?? 0);
+    if (!booking || !(held > 0)) {
+      return null;
+    }
+
+    let amount = 0;
+    if (booking.status === 'completed') {
+      amount = held;
+    } else if (booking.status === 'cancelled' && booking.cancellation?.fee?.amount > 0) {
+      const alreadyEarned = bookingAccountSnap.data()?.totalEarned ?? 0;
+      amount = Math.min(held, roundCurrency(booking.cancellation.fee.amount - alreadyEarned));
+    }
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    const [studioSnap, relationshipSnap] = await Promise.all([
+      transaction.get(db.collection('studios').doc(booking.studioId)),
+      booking.engineerId
+        ? transaction.get(db.collection('studioEngineerRelationships').doc(`${booking.studioId}_${booking.engineerId}`))
+        : Promise.resolve(null),
+    ]);
+    const ownerId = studioSnap.data()?.ownerId;
+    if (!ownerId) {
+      // No one to credit the studio's share to, so the money stays held on the booking.
+      return null;
+    }
+    const split = resolveRevenueSplit(booking, relationshipSnap?.data(), amount);
+    const lines = [{ account: ledgerAccount('booking', bookingId), debit: amount }];
+    const { engineerId } = booking;
+    if (engineerId && engineerId !== ownerId) {
+      lines.push({ account: ledgerAccount('earnings', engineerId), userId: engineerId, credit: split.engineer });
+      lines.push({ account: ledgerAccount('earnings', ownerId), userId: ownerId, credit: split.studio });
+    } else {
+      lines.push({ account: ledgerAccount('earnings', ownerId), userId: ownerId, credit: amount });
+    }
+
+    transaction.set(bookingAccountRef, { totalEarned: FieldValue.increment(amount) }, { merge: true });
+    return {
+      type: booking.status === 'completed' ? 'earned' : 'cancellationFee',
+      bookingId,
+      studioId: booking.studioId,
+      currency: booking.pricing?.currency ?? 'USD',
+      engineerSharePercent: split.engineerSharePercent,
+      memo: booking.status === 'completed' ? 'Session revenue' : 'Cancellation fee',
+      lines,
+    };
+  });
+}
+
+// The engineer's cut comes from `studioEngineerRelationships.engineerSharePercent`;
+// without one it follows the engineer's share of the booking price.
+function resolveRevenueSplit(booking, relationship, amount) {
+  let engineerSharePercent = 0;
+  if (typeof relationship?.engineerSharePercent === 'number') {
+    engineerSharePercent = relationship.engineerSharePercent;
+  } else if (booking.pricing?.total > 0) {
+    engineerSharePercent = ((booking.pricing.engineerTotal ?? 0) / booking.pricing.total) * 100;
+  }
+  const engineer = roundCurrency((amount * engineerSharePercent) / 100);
+  return {
+    engineerSharePercent: Math.round(engineerSharePercent * 100) / 100,
+    engineer,
+    studio: roundCurrency(amount - engineer),
+  };
+}
+
+async function rollupStudioReport(studioSnap) {
+  const { timeZone } = resolveOperatingSchedule(studioSnap.data());
+  const todayKey = zonedDateParts(new Date(), timeZone).dateKey;
+  const todayStart = zonedDateTime(todayKey, 0, timeZone);
+  const lookbackStart = zonedDateTime(
+    zonedDateParts(new Date(todayStart.getTime() - STUDIO_REPORT_LOOKBACK_DAYS * 24 * 60 * 60000), timeZone).dateKey,
+    0,
+    timeZone,
+  );
+  const monthStart = zonedDateTime(`${zonedDateParts(lookbackStart, timeZone).dateKey.slice(0, 7)}-01`, 0, timeZone);
+
+  const sources = await loadStudioReportSources(studioSnap, { start: monthStart, end: todayStart });
+  const dayReports = localDays(monthStart, todayStart, timeZone).map(day => buildStudioDayReport(sources, day));
+  const reportsRef = studioSnap.ref.collection(STUDIO_REPORTS_SUBCOLLECTION);
+  const base = { studioId: studioSnap.id, timeZone, generatedAt: FieldValue.serverTimestamp() };
+  const lookbackKey = zonedDateParts(lookbackStart, timeZone).dateKey;
+
+  const recentReports = dayReports.filter(report => report.dateKey >= lookbackKey);
+  const writes = recentReports.map(report => batch =>
+    batch.set(reportsRef.doc(`day_${report.dateKey}`), { ...base, period: 'day', periodKey: report.dateKey, ...report }),
+  );
+  const monthKeys = Array.from(new Set(recentReports.map(report => report.dateKey.slice(0, 7))));
+  monthKeys.forEach(monthKey => {
+    const monthReports = dayReports.filter(report => report.dateKey.startsWith(monthKey));
+    writes.push(batch =>
+      batch.set(reportsRef.doc(`month_${monthKey}`), {
+        ...base,
+        period: 'month',
+        periodKey: monthKey,
+        dayCount: monthReports.length,
+        ...combineStudioReports(monthReports),
+      }),
+    );
+  });
+  return commitInBatches(writes);
+}
+
+// Only bookings requested to start within the range (less one maximum session
+// length, for sessions that run into its first day) are loaded.
+async function loadStudioReportSources(studioSnap, range) {
+  const [roomsSnap, availabilitySnap, bookingsSnap] = await Promise.all([
+    studioSnap.ref.collection('rooms').get(),
+    studioSnap.ref.collection('availability').get(),
+    db
+      .collection('bookings')
+      .where('studioId', '==', studioSnap.id)
+      .where('requestedStart', '>=', Timestamp.fromMillis(range.start.getTime() - BOOKING_MAX_DURATION_MINUTES * 60000))
+      .where('requestedStart', '<', Timestamp.fromDate(range.end))
+      .get(),
+  ]);
+  const schedule = resolveOperatingSchedule(studioSnap.data());
+  return {
+    schedule,
+    blackoutKeys: new Set(schedule.blackoutDates.map(date => zonedDateParts(date, schedule.timeZone).dateKey)),
+    rooms: roomsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    availability: availabilitySnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    bookings: bookingsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+  };
+}
+
+// Per-room figures for one local day. Capacity is the studio's operating hours
+// minus studio blocks; booked time is confirmed, completed and self-booked
+// sessions. Sessions, cancellations and revenue count on the day the session starts.
+function buildStudioDayReport(sources, day) {
+  const { schedule } = sources;
+  const { timeZone } = schedule;
+  const dayBounds = { start: day.start, end: day.end };
+  const hours = Array.from({ length: 24 }, (_, hour) => {
+    const start = zonedDateTime(day.dateKey, hour * 60, timeZone);
+    return clampInterval({ start, end: zonedDateTime(day.dateKey, (hour + 1) * 60, timeZone) }, dayBounds);
+  });
+
+  const rooms = Object.fromEntries(
+    sources.rooms.map(room => {
+      const entries = sources.availability.filter(
+        entry =>
+          (!entry.roomId || entry.roomId === room.id) && ['recurring', 'block'].includes(entry.kind ?? entry.type),
+      );
+      const capacity = sources.blackoutKeys.has(day.dateKey)
+        ? []
+        : computeOpenIntervalsForDay(
+            { studioAvailability: entries, engineerAvailability: [], bookings: [] },
+            day,
+            timeZone,
+            schedule,
+          );
+      const roomBookings = sources.bookings.filter(booking => booking.roomId === room.id);
+      const booked = mergeIntervals(
+        roomBookings
+          .filter(booking => ['confirmed', 'completed'].includes(booking.status))
+          .map(booking => {
+            const { start, end } = bookingWindow(booking);
+            return start && end ? clampInterval({ start, end }, dayBounds) : null;
+          }),
+      );
+
+      const metrics = emptyReportMetrics();
+      metrics.openMinutes = intervalMinutes(capacity);
+      metrics.bookedMinutes = intervalMinutes(booked);
+      metrics.hourlyBookedMinutes = hours.map(hour => (hour ? intervalMinutes(intersectIntervals(booked, [hour])) : 0));
+
+      roomBookings
+        .filter(booking => {
+          const start = bookingWindow(booking).start;
+          return start && start >= day.start && start < day.end;
+        })
+        .forEach(booking => addBookingToReport(metrics, booking));
+      return [room.id, metrics];
+    }),
+  );
+
+  return { dateKey: day.dateKey, ...summarizeRoomReports(rooms) };
+}
+
+function addBookingToReport(metrics, booking) {
+  const kind = booking.status === 'cancelled' ? booking.cancellation?.kind ?? 'cancelled' : null;
+  if (kind === 'declined' || kind === 'rejected') {
+    metrics.declined += 1;
+    return;
+  }
+
+  metrics.sessions += 1;
+  let revenue = 0;
+  if (kind === 'cancelled') {
+    metrics.cancelled += 1;
+    metrics.cancellationFees = roundCurrency(metrics.cancellationFees + (booking.cancellation?.fee?.amount ?? 0));
+  } else if (['confirmed', 'completed'].includes(booking.status)) {
+    metrics.completed += booking.status === 'completed' ? 1 : 0;
+    revenue = booking.pricing?.total ?? 0;
+    metrics.revenue = roundCurrency(metrics.revenue + revenue);
+  }
+
+  if (booking.engineerId) {
+    const engineer = metrics.engineers[booking.engineerId] || { sessions: 0, revenue: 0 };
+    metrics.engineers[booking.engineerId] = {
+      sessions: engineer.sessions + (kind === 'cancelled' ? 0 : 1),
+      revenue: roundCurrency(engineer.revenue + revenue),
+    };
+  }
+}
+
+function emptyReportMetrics() {
+  return {
+    openMinutes: 0,
+    bookedMinutes: 0,
+    hourlyBookedMinutes: Array(24).fill(0),
+    sessions: 0,
+    completed: 0,
+    cancelled: 0,
+    declined: 0,
+    revenue: 0,
+    cancellationFees: 0,
+    engineers: {},
+  };
+}
+
+// Stored metrics are plain sums so days roll up into months (and any range)
+// by addition; the rates are derived afterwards.
+function addReportMetrics(target, metrics) {
+  ['openMinutes', 'bookedMinutes', 'sessions', 'completed', 'cancelled', 'declined'].forEach(field => {
+    target[field] += metrics[field];
+  });
+  target.revenue = roundCurrency(target.revenue + metrics.revenue);
+  target.cancellationFees = roundCurrency(target.cancellationFees + metrics.cancellationFees);
+  target.hourlyBookedMinutes = target.hourlyBookedMinutes.map(
+    (minutes, hour) => minutes + (metrics.hourlyBookedMinutes[hour] ?? 0),
+  );
+  Object.entries(metrics.engineers).forEach(([engineerId, engineer]) => {
+    const current = target.engineers[engineerId] || { sessions: 0, revenue: 0 };
+    target.engineers[engineerId] = {
+      sessions: current.sessions + engineer.sessions,
+      revenue: roundCurrency(current.revenue + engineer.revenue),
+    };
+  });
+  return target;
+}
+
+function finalizeReportMetrics(metrics) {
+  const busiest = Math.max(...metrics.hourlyBookedMinutes);
+  const peakHours = metrics.hourlyBookedMinutes
+    .map((minutes, hour) => (minutes === busiest ? hour : null))
+    .filter(hour => hour !== null);
+  return {
+    ...metrics,
+    occupancy: metrics.openMinutes > 0 ? Math.min(1, round4(metrics.bookedMinutes / metrics.openMinutes)) : 0,
+    cancellationRate: metrics.sessions > 0 ? round4(metrics.cancelled / metrics.sessions) : 0,
+    peakHours: busiest > 0 ? peakHours : [],
+  };
+}
+
+function summarizeRoomReports(rooms) {
+  const totals = Object.values(rooms).reduce(addReportMetrics, emptyReportMetrics());
+  return {
+    totals: finalizeReportMetrics(totals),
+    rooms: Object.fromEntries(
+      Object.entries(rooms).map(([roomId, metrics]) => [roomId, finalizeReportMetrics(metrics)]),
+    ),
+  };
+}
+
+function combineStudioReports(reports) {
+  const rooms = {};
+  reports.forEach(report => {
+    Object.entries(report.rooms).forEach(([roomId, metrics]) => {
+      rooms[roomId] = addReportMetrics(rooms[roomId] || emptyReportMetrics(), metrics);
+    });
+  });
+  return summarizeRoomReports(rooms);
+}
+
+function formatStudioReportCsv(report, dayReports, rooms, engineerNames) {
+  const roomNames = Object.fromEntries(rooms.map(room => [room.id, room.name || room.id]));
+  const header = [
+    'date',
+    'scope',
+    'id',
+    'name',
+    'open_hours',
+    'booked_hours',
+    'occupancy_pct',
+    'peak_hours',
+    'sessions',
+    'completed',
+    'cancelled',
+    'declined',
+    'cancellation_rate_pct',
+    'revenue',
+    'cancellation_fees',
+  ];
+  const metricsRow = (date, scope, id, name, metrics) => [
+    date,
+    scope,
+    id,
+    name,
+    (metrics.openMinutes / 60).toFixed(2),
+    (metrics.bookedMinutes / 60).toFixed(2),
+    (metrics.occupancy * 100).toFixed(1),
+    metrics.peakHours.map(hour => `${String(hour).padStart(2, '0')}:00`).join(' '),
+    metrics.sessions,
+    metrics.completed,
+    metrics.cancelled,
+    metrics.declined,
+    (metrics.cancellationRate * 100).toFixed(1),
+    metrics.revenue.toFixed(2),
+    metrics.cancellationFees.toFixed(2),
+  ];
+  const periodRows = (date, { totals, rooms: roomMetrics }) => [
+    metricsRow(date, 'studio', report.studioId, '', totals),
+    ...Object.entries(roomMetrics).map(([roomId, metrics]) =>
+      metricsRow(date, 'room', roomId, roomNames[roomId] ?? roomId, metrics),
+    ),
+  ];
+
+  const rows = [
+    header,
+    ...dayReports.flatMap(dayReport => periodRows(dayReport.dateKey, dayReport)),
+    ...periodRows('total', report),
+    ...Object.entries(report.totals.engineers).map(([engineerId, engineer]) => {
+      const row = Array(header.length).fill('');
+      Object.assign(row, { 0: 'total', 1: 'engineer', 2: engineerId, 3: engineerNames[engineerId] ?? '' });
+      row[header.indexOf('sessions')] = engineer.sessions;
+      row[header.indexOf('revenue')] = engineer.revenue.toFixed(2);
+      return row;
+    }),
+  ];
+  return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function intervalMinutes(intervals) {
+  return Math.round(intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0) / 60000);
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+async function loadDisplayNames(userIds) {
+  const snaps = await Promise.all(userIds.map(userId => db.collection('users').doc(userId).get()));
+  return Object.fromEntries(
+    snaps.map(snap => [snap.id, snap.data()?.displayName || snap.data()?.username || '']),
+  );
+}
+
+function videoProjectWindow(request) {
+  const start = toDate(request.startDate);
+  const durationMinutes = Number(request.durationMinutes);
+  if (!start || !(durationMinutes > 0)) {
+    return null;
+  }
+  return { start, end: new Date(start.getTime() + durationMinutes * 60000) };
+}
+
+function videoProjectHoldId(requestId) {
+  return `videoProject_${requestId}`;
+}
+
+// Blocking entries on the videographer's calendar that overlap the shoot,
+// ignoring the request's own hold.
+async function videoProjectConflictIds(transaction, request, requestId) {
+  const sessionWindow = videoProjectWindow(request);
+  const videographerRef = db.collection('users').doc(request.videographerId);
+  const [videographerSnap, availabilitySnap] = await Promise.all([
+    transaction.get(videographerRef),
+    transaction.get(videographerRef.collection('availability')),
+  ]);
+  const timeZone = await resolveEngineerTimeZone(videographerSnap.data());
+  const entries = availabilitySnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const ignoreBookingId = videoProjectHoldId(requestId);
+  return overlappingAvailability(entries, sessionWindow, timeZone, { ignoreBookingId }).map(entry => entry.id);
+}
+
+// Mirrors `ensureBookingHolds`: the shoot becomes a `bookingHold` on the
+// videographer's calendar, or, when it overlaps something already there, the
+// request goes back to the requester with the conflict recorded.
+async function ensureVideoProjectHold(request, requestId) {
+  const sessionWindow = videoProjectWindow(request);
+  if (!sessionWindow || !request.videographerId) {
+    return null;
+  }
+
+  const requestRef = db.collection(VIDEO_PROJECT_REQUESTS_COLLECTION).doc(requestId);
+  const holdRef = db
+    .collection('users')
+    .doc(request.videographerId)
+    .collection('availability')
+    .doc(videoProjectHoldId(requestId));
+
+  const conflictIds = await db.runTransaction(async transaction => {
+    const ids = await videoProjectConflictIds(transaction, request, requestId);
+    if (ids.length > 0) {
+      transaction.update(requestRef, {
+        status: 'awaitingRequesterDecision',
+        decisionAt: null,
+        decisionBy: null,
+        requesterApprovedQuoteAt: null,
+        conflict: { state: 'unresolved', conflictIds: ids, detectedAt: FieldValue.serverTimestamp() },
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      // A rescheduled shoot must not keep blocking the time it moved away from.
+      transaction.delete(holdRef);
+      return ids;
+    }
+
+    transaction.set(
+      holdRef,
+      {
+        kind: 'bookingHold',
+        ownerId: request.videographerId,
+        durationMinutes: Number(request.durationMinutes),
+        startDate: Timestamp.fromDate(sessionWindow.start),
+        endDate: Timestamp.fromDate(sessionWindow.end),
+        sourceVideoProjectRequestId: requestId,
+        createdBy: request.requesterId,
+        notes: 'Synced from video project',
+        createdAt: request.createdAt ?? new Date(),
+        updatedAt: new Date(),
+      },
+      { merge: true },
+    );
+    if (request.conflict) {
+      transaction.update(requestRef, { conflict: FieldValue.delete() });
+    }
+    return null;
+  });
+
+  if (conflictIds) {
+    const formattedDate = sessionWindow.start.toLocaleString('en-US', DATE_FORMAT_OPTIONS);
+    const payload = {
+      title: 'Video project conflict',
+      message: `The shoot on ${formattedDate} overlaps something on the videographer's calendar. Pick another time.`,
+      category: 'request',
+      deeplink: videoProjectDeeplink(requestId),
+    };
+    await Promise.all([createAlert(request.requesterId, payload), createAlert(request.videographerId, payload)]);
+  }
+  return null;
+}
+
+function removeVideoProjectHold(request, requestId) {
+  if (!request?.videographerId) {
+    return null;
+  }
+  return db
+    .collection('users')
+    .doc(request.videographerId)
+    .collection('availability')
+    .doc(videoProjectHoldId(requestId))
+    .delete()
+    .catch(() => null);
+}
+
+function videoProjectDeeplink(requestId) {
+  return `punchin://video-projects/${requestId}`;
+}
+
+function videoProjectRequestRef(requestId) {
+  if (typeof requestId !== 'string' || !requestId) {
+    throw new functions.https.HttpsError('invalid-argument', 'requestId is required.');
+  }
+  return db.collection(VIDEO_PROJECT_REQUESTS_COLLECTION).doc(requestId);
+}
+
+function videoProjectRole(request, uid) {
+  if (request.videographerId === uid) {
+    return 'videographer';
+  }
+  if (request.requesterId === uid) {
+    return 'requester';
+  }
+  throw new functions.https.HttpsError('permission-denied', 'You are not part of this video project.');
+}
+
+// Anything the caller leaves out carries over from the request's current terms.
+function parseVideoProjectQuote(data, current) {
+  const hourlyRate = data.hourlyRate === undefined ? current.quotedHourlyRate ?? null : data.hourlyRate;
+  if (hourlyRate !== null && (typeof hourlyRate !== 'number' || !Number.isFinite(hourlyRate) || hourlyRate < 0)) {
+    throw new functions.https.HttpsError('invalid-argument', 'hourlyRate must be zero or more.');
+  }
+
+  const startDate = data.startDate === undefined ? toDate(current.startDate) : parseDateInput(data.startDate);
+  if (!startDate) {
+    throw new functions.https.HttpsError('invalid-argument', 'startDate must be a valid date.');
+  }
+
+  const durationMinutes = Number(data.durationMinutes ?? current.durationMinutes);
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < 15 ||
+    durationMinutes > VIDEO_PROJECT_MAX_DURATION_MINUTES
+  ) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'durationMinutes must be between 15 minutes and 24 hours.',
+    );
+  }
+
+  const shootLocations = data.shootLocations ?? current.shootLocations ?? [];
+  if (
+    !Array.isArray(shootLocations) ||
+    shootLocations.length > VIDEO_PROJECT_MAX_LOCATIONS ||
+    !shootLocations.every(location => typeof location === 'string')
+  ) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `shootLocations must be a list of at most ${VIDEO_PROJECT_MAX_LOCATIONS} places.`,
+    );
+  }
+
+  const note = data.note ?? null;
+  if (note !== null && (typeof note !== 'string' || note.length > VIDEO_PROJECT_QUOTE_NOTE_MAX_LENGTH)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `note must be text of at most ${VIDEO_PROJECT_QUOTE_NOTE_MAX_LENGTH} characters.`,
+    );
+  }
+
+  return {
+    hourlyRate,
+    startDate: Timestamp.fromDate(startDate),
+    durationMinutes,
+    shootLocations: shootLocations.map(location => location.trim()).filter(Boolean),
+    note: note?.trim() || null,
   };
+}
 
-  const engineerEntry = {
-    kind: 'bookingHold',
-    ownerId: booking.engineerId,
-    studioId: booking.studioId,
-    roomId: booking.roomId,
-    engineerId: booking.engineerId,
-    durationMinutes,
-    startDate: start,
-    endDate: end,
-    sourceBookingId: bookingId,
-    createdBy: booking.artistId,
-    notes: 'Synced from booking',
-    createdAt: booking.createdAt ?? new Date(),
-    updatedAt: new Date(),
+function videoProjectTermsFields(quote) {
+  return {
+    quotedHourlyRate: quote.hourlyRate,
+    startDate: quote.startDate,
+    durationMinutes: quote.durationMinutes,
+    shootLocations: quote.shootLocations,
   };
+}
 
-  await Promise.all([
-    db
-      .collection('studios')
-      .doc(booking.studioId)
-      .collection('availability')
-      .doc(bookingId)
-      .set(studioEntry, { merge: true }),
-    db
-      .collection('users')
-      .doc(booking.engineerId)
-      .collection('availability')
-      .doc(bookingId)
-      .set(engineerEntry, { merge: true }),
-  ]);
+function describeVideoProjectQuote(quote) {
+  const hours = Math.floor(quote.durationMinutes / 60);
+  const minutes = quote.durationMinutes % 60;
+  const duration = [hours ? `${hours}h` : null, minutes ? `${minutes}m` : null].filter(Boolean).join(' ');
+  const parts = [
+    typeof quote.hourlyRate === 'number' ? `${quote.hourlyRate.toFixed(2)}/hr` : 'rate to be agreed',
+    toDate(quote.startDate).toLocaleString('en-US', DATE_FORMAT_OPTIONS),
+    duration,
+  ];
+  if (quote.shootLocations.length > 0) {
+    parts.push(quote.shootLocations.join(', '));
+  }
+  return `${parts.join(' · ')}${quote.note ? ` — "${quote.note}"` : ''}`;
 }
 
-async function removeBookingHolds(booking, bookingId) {
+// Alerts the other party and drops a summary into the linked conversation.
+async function announceVideoProjectQuote(requestId, request, quote, actorId, { alert = true } = {}) {
+  const headings = {
+    quote: { title: 'New quote', summary: 'Sent a quote' },
+    counter: { title: 'Counter-offer', summary: 'Sent a counter-offer' },
+    accepted: { title: 'Quote accepted', summary: 'Accepted the offer; the shoot is scheduled' },
+  };
+  const heading = headings[quote.kind];
+  const details = describeVideoProjectQuote(quote);
+  const recipientId = actorId === request.videographerId ? request.requesterId : request.videographerId;
+
   await Promise.all([
-    db
-      .collection('studios')
-      .doc(booking.studioId)
-      .collection('availability')
-      .doc(bookingId)
-      .delete()
-      .catch(() => null),
-    db
-      .collection('users')
-      .doc(booking.engineerId)
-      .collection('availability')
-      .doc(bookingId)
-      .delete()
-      .catch(() => null),
+    alert
+      ? createAlert(recipientId, {
+          title: heading.title,
+          message: details,
+          category: 'request',
+          deeplink: videoProjectDeeplink(requestId),
+        })
+      : null,
+    request.conversationId
+      ? postConversationSummary(request.conversationId, actorId, `${heading.summary}: ${details}`, {
+          type: 'videoProjectRequest',
+          requestId,
+        })
+      : null,
   ]);
 }
 
-async function sendBookingAlert(booking, bookingId, reason) {
-  const titleMap = {
-    created: 'New booking request',
-    updated: 'Booking updated',
-    cancelled: 'Booking cancelled',
-  };
-  const statusLabel = booking.status?.toString?.() || 'pending';
-  const startDate = toDate(booking.confirmedStart || booking.requestedStart);
-  const formattedDate = startDate
-    ? startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS)
-    : 'upcoming session';
-  const message = `Session ${statusLabel} for ${formattedDate}`;
-  const payload = {
-    title: titleMap[reason] || 'Booking update',
-    message,
-    category: 'booking',
-    deeplink: `punchin://bookings/${bookingId}`,
+function chatParticipant(userId, profile = {}) {
+  return {
+    id: userId,
+    type: 'user',
+    username: profile.username ?? '',
+    displayName: profile.displayName ?? profile.username ?? '',
+    accountType: profile.accountType ?? 'artist',
+    profileImageURL: profile.profileImageURL ?? null,
   };
+}
 
-  const recipients = new Set([booking.artistId, booking.engineerId].filter(Boolean));
-  const studioOwnerId = await resolveStudioOwnerId(booking.studioId);
-  if (studioOwnerId) {
-    recipients.add(studioOwnerId);
+// Writes a text message the way the app does, tagged with `source` so
+// `notifyChatMessage` leaves the alerting to the caller.
+async function postConversationSummary(conversationId, senderId, text, source) {
+  const conversationRef = db.collection('conversations').doc(conversationId);
+  const [conversationSnap, senderSnap] = await Promise.all([
+    conversationRef.get(),
+    db.collection('users').doc(senderId).get(),
+  ]);
+  if (!conversationSnap.exists) {
+    return null;
   }
 
-  await Promise.all(Array.from(recipients).map(userId => createAlert(userId, payload)));
+  const sender = chatParticipant(senderId, senderSnap.data());
+  const sentAt = Timestamp.now();
+  const messageRef = conversationRef.collection('messages').doc();
+  const participantIds = resolveParticipantIds(conversationSnap.data());
+
+  const batch = db.batch();
+  batch.set(messageRef, {
+    contentType: 'text',
+    text,
+    sentAt,
+    sender,
+    senderId,
+    threadId: conversationId,
+    participantIds,
+    dataVersion: 1,
+    source,
+  });
+  batch.update(conversationRef, {
+    lastMessageAt: sentAt,
+    lastMessage: { text, id: messageRef.id, sentAt, sender, contentType: 'text' },
+  });
+  return batch.commit();
 }
 
-async function resolveStudioOwnerId(studioId) {
-  if (!studioId) {
+function formatVideoProjectDate(request) {
+  const startDate = toDate(request.startDate);
+  return startDate ? startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS) : 'an upcoming shoot';
+}
+
+// Links the request to the pair's existing direct thread, or starts one with a
+// summary of the request so it shows up in both inboxes. Threads started here use
+// a per-pair id, so concurrent requests between the same two people share one.
+async function ensureVideoProjectConversation(requestRef, request) {
+  const { requesterId, videographerId } = request;
+  if (!requesterId || !videographerId || requesterId === videographerId) {
     return null;
   }
-  const studioSnap = await db.collection('studios').doc(studioId).get();
-  return studioSnap.exists ? studioSnap.data()?.ownerId || null : null;
+
+  const threadsSnap = await db
+    .collection('conversations')
+    .where('participantIds', 'array-contains', requesterId)
+    .where('kind', '==', 'direct')
+    .get();
+  const existing = threadsSnap.docs.find(doc => {
+    const participantIds = resolveParticipantIds(doc.data());
+    return (
+      participantIds.length === 2 &&
+      participantIds.includes(videographerId) &&
+      !(doc.data().deletedParticipantIds || []).length
+    );
+  });
+
+  const conversationRef = existing
+    ? existing.ref
+    : db.collection('conversations').doc(`direct_${[requesterId, videographerId].sort().join('_')}`);
+  const linked = await db.runTransaction(async transaction => {
+    const [requestSnap, conversationSnap] = await Promise.all([
+      transaction.get(requestRef),
+      existing ? null : transaction.get(conversationRef),
+    ]);
+    if (!requestSnap.exists || requestSnap.data().conversationId) {
+      return false;
+    }
+    if (!existing && !conversationSnap.exists) {
+      const [requesterSnap, videographerSnap] = await Promise.all([
+        transaction.get(db.collection('users').doc(requesterId)),
+        transaction.get(db.collection('users').doc(videographerId)),
+      ]);
+      transaction.set(conversationRef, {
+        creatorId: requesterId,
+        kind: 'direct',
+        participantIds: [requesterId, videographerId],
+        participants: [
+          chatParticipant(requesterId, requesterSnap.data()),
+          chatParticipant(videographerId, videographerSnap.data()),
+        ],
+        createdAt: Timestamp.now(),
+        dataVersion: 1,
+        mutedParticipantIds: [],
+        deletedParticipantIds: [],
+        groupSettings: null,
+        project: null,
+      });
+    }
+    transaction.update(requestRef, { conversationId: conversationRef.id });
+    return true;
+  });
+
+  if (linked) {
+    const details = [formatVideoProjectDate(request), ...(request.shootLocations || [])].join(' · ');
+    await postConversationSummary(conversationRef.id, requesterId, `Requested a video project: ${details}`, {
+      type: 'videoProjectRequest',
+      requestId: requestRef.id,
+    });
+  }
+  return linked ? conversationRef.id : null;
+}
+
+function isEntitlementActive(entitlement, nowMillis) {
+  const expiresAt = toDate(entitlement?.expiresAt);
+  return entitlement?.status === 'active' && Boolean(expiresAt) && expiresAt.getTime() > nowMillis;
+}
+
+// Merges the premium claim into whatever other claims the account carries.
+// `premiumExpiresAt` (epoch seconds) lets rules ignore a token that outlives the entitlement.
+async function syncPremiumClaims(userId, expiresAt) {
+  const auth = getAuth();
+  let user;
+  try {
+    user = await auth.getUser(userId);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return;
+    }
+    throw error;
+  }
+
+  const claims = { ...(user.customClaims || {}) };
+  if (expiresAt) {
+    claims.premiumEngineer = true;
+    claims.premiumExpiresAt = Math.floor(expiresAt.getTime() / 1000);
+  } else {
+    delete claims.premiumEngineer;
+    delete claims.premiumExpiresAt;
+  }
+  await auth.setCustomUserClaims(userId, claims);
+}
+
+async function applySubscriptionEvent(event) {
+  const { subscription } = event;
+  if (!subscription?.userId || (subscription.plan && subscription.plan !== PREMIUM_ENGINEER_PLAN)) {
+    return;
+  }
+  const entitlementRef = db.collection(ENTITLEMENTS_COLLECTION).doc(subscription.userId);
+  const eventRef = db.collection(PAYMENT_EVENTS_COLLECTION).doc(`${payments.name}_${event.id}`);
+
+  await db.runTransaction(async transaction => {
+    const [eventSnap, entitlementSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(entitlementRef),
+    ]);
+    if (eventSnap.exists) {
+      return;
+    }
+
+    const now = Timestamp.now();
+    transaction.set(eventRef, {
+      type: event.type,
+      userId: subscription.userId,
+      subscriptionId: subscription.id ?? null,
+      receivedAt: now,
+    });
+
+    const current = entitlementSnap.data();
+    if (isStaleSubscriptionEvent(event, current)) {
+      return;
+    }
+    const active = subscription.status === 'active' && Boolean(subscription.currentPeriodEnd);
+    transaction.set(entitlementRef, {
+      userId: subscription.userId,
+      plan: PREMIUM_ENGINEER_PLAN,
+      status: active ? 'active' : 'cancelled',
+      source: payments.name,
+      subscriptionId: subscription.id ?? null,
+      expiresAt: active ? Timestamp.fromDate(subscription.currentPeriodEnd) : now,
+      currentPeriodEnd: subscription.currentPeriodEnd ? Timestamp.fromDate(subscription.currentPeriodEnd) : null,
+      lastEventAt: event.createdAt ? Timestamp.fromDate(event.createdAt) : current?.lastEventAt ?? null,
+      claimsSyncedAt: current?.claimsSyncedAt ?? null,
+      createdAt: current?.createdAt ?? now,
+      updatedAt: now,
+    });
+  });
+}
+
+// Providers don't deliver webhooks in order. An older subscription ending never
+// cancels a newer active one; otherwise an event is dropped when it was raised before
+// the last one applied or, when either lacks a timestamp, when it describes an earlier
+// billing period of the same subscription.
+function isStaleSubscriptionEvent(event, current) {
+  const { subscription } = event;
+  if (!current) {
+    return false;
+  }
+  if (current.subscriptionId !== (subscription.id ?? null)) {
+    return subscription.status !== 'active' && current.status === 'active';
+  }
+  const lastEventAt = toDate(current.lastEventAt);
+  if (event.createdAt && lastEventAt) {
+    return event.createdAt < lastEventAt;
+  }
+  const currentPeriodEnd = toDate(current.currentPeriodEnd ?? (current.status === 'active' ? current.expiresAt : null));
+  return Boolean(subscription.currentPeriodEnd && currentPeriodEnd && subscription.currentPeriodEnd < currentPeriodEnd);
+}
+
+function parseDeviceToken(value) {
+  const token = typeof value === 'string' ? value.trim() : '';
+  if (!token || token.length > DEVICE_TOKEN_MAX_LENGTH) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid device token is required.');
+  }
+  return token;
+}
+
+function deviceTokenId(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function parseNotificationPreferences(data) {
+  const updates = {};
+  if (data.mutedCategories !== undefined) {
+    if (
+      !Array.isArray(data.mutedCategories) ||
+      !data.mutedCategories.every(category => ALERT_CATEGORIES.includes(category))
+    ) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `mutedCategories may only contain ${ALERT_CATEGORIES.join(', ')}.`,
+      );
+    }
+    updates.mutedCategories = Array.from(new Set(data.mutedCategories));
+  }
+
+  ['muteConversationId', 'unmuteConversationId'].forEach(field => {
+    if (data[field] === undefined) {
+      return;
+    }
+    if (typeof data[field] !== 'string' || !data[field]) {
+      throw new functions.https.HttpsError('invalid-argument', `${field} must be a conversation id.`);
+    }
+    updates[field] = data[field];
+  });
+
+  if (data.channels !== undefined) {
+    const channels = data.channels || {};
+    const keys = Object.keys(channels);
+    if (
+      keys.length === 0 ||
+      !keys.every(key => key in NOTIFICATION_CHANNEL_DEFAULTS && typeof channels[key] === 'boolean')
+    ) {
+      throw new functions.https.HttpsError('invalid-argument', 'channels may only set email, sms and digest flags.');
+    }
+    updates.channels = channels;
+  }
+
+  if (data.quietHours === null) {
+    updates.quietHours = null;
+  } else if (data.quietHours !== undefined) {
+    const { startMinutes, endMinutes, timeZone } = data.quietHours || {};
+    const validMinutes = value => Number.isInteger(value) && value >= 0 && value < 24 * 60;
+    if (!validMinutes(startMinutes) || !validMinutes(endMinutes) || startMinutes === endMinutes) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'quietHours needs different startMinutes and endMinutes between 0 and 1439.',
+      );
+    }
+    if (typeof timeZone !== 'string' || resolveTimeZone(timeZone) !== timeZone) {
+      throw new functions.https.HttpsError('invalid-argument', 'quietHours.timeZone must be an IANA time zone.');
+    }
+    updates.quietHours = { startMinutes, endMinutes, timeZone };
+  }
+  return updates;
+}
+
+// Returns why an alert should be stored silently (no push), or null to deliver it.
+function alertSilencedReason(preferences, alert, now) {
+  if (!preferences || alert.critical === true) {
+    return null;
+  }
+  if ((preferences.mutedCategories || []).includes(alert.category)) {
+    return 'category';
+  }
+  if (alert.conversationId && (preferences.mutedConversationIds || []).includes(alert.conversationId)) {
+    return 'conversation';
+  }
+  const quietHours = preferences.quietHours;
+  if (quietHours && quietHours.startMinutes !== quietHours.endMinutes) {
+    const minutes = zonedDateParts(now, resolveTimeZone(quietHours.timeZone)).minutes;
+    // Overnight windows (e.g. 22:00-07:00) wrap past midnight.
+    const quiet =
+      quietHours.startMinutes < quietHours.endMinutes
+        ? minutes >= quietHours.startMinutes && minutes < quietHours.endMinutes
+        : minutes >= quietHours.startMinutes || minutes < quietHours.endMinutes;
+    if (quiet) {
+      return 'quietHours';
+    }
+  }
+  return null;
+}
+
+async function loadNotificationPreferences(userId) {
+  const preferencesSnap = await db.collection(NOTIFICATION_PREFERENCES_COLLECTION).doc(userId).get();
+  return preferencesSnap.exists ? preferencesSnap.data() : null;
+}
+
+function resolveNotificationChannels(preferences) {
+  return { ...NOTIFICATION_CHANNEL_DEFAULTS, ...(preferences?.channels || {}) };
+}
+
+async function ensureUnsubscribeToken(userId) {
+  const preferencesRef = db.collection(NOTIFICATION_PREFERENCES_COLLECTION).doc(userId);
+  return db.runTransaction(async transaction => {
+    const preferencesSnap = await transaction.get(preferencesRef);
+    if (preferencesSnap.data()?.unsubscribeToken) {
+      return preferencesSnap.data().unsubscribeToken;
+    }
+    const token = randomBytes(24).toString('hex');
+    transaction.set(preferencesRef, { userId, unsubscribeToken: token }, { merge: true });
+    return token;
+  });
+}
+
+function unsubscribeUrl(token, list) {
+  const projectId = process.env.GCLOUD_PROJECT;
+  return `https://us-central1-${projectId}.cloudfunctions.net/unsubscribeEmail?token=${token}&list=${list}`;
+}
+
+function resolveEmailAddress(profile) {
+  const email = profile?.contact?.email?.trim();
+  return email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+// SMS needs E.164; numbers saved without a country code are skipped.
+function resolveSmsNumber(profile) {
+  const phoneNumber = profile?.contact?.phoneNumber?.replace(/[\s().-]/g, '');
+  return phoneNumber && /^\+[1-9]\d{7,14}$/.test(phoneNumber) ? phoneNumber : null;
+}
+
+async function sendOutbound(userId, channel, kind, message) {
+  const messageRef = db.collection(OUTBOUND_MESSAGES_COLLECTION).doc();
+  const record = { userId, channel, kind, to: message.to, createdAt: Timestamp.now() };
+  try {
+    const result = await outbound[channel].send(message);
+    await messageRef.set({ ...record, status: 'sent', providerId: result.id ?? null, error: null });
+  } catch (error) {
+    await messageRef.set({ ...record, status: 'failed', providerId: null, error: error.message || 'Send failed.' });
+  }
+}
+
+async function sendBookingChannels(userId, reason, booking, details) {
+  const [userSnap, preferences, studioSnap] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    loadNotificationPreferences(userId),
+    booking.studioId ? db.collection('studios').doc(booking.studioId).get() : null,
+  ]);
+  const profile = userSnap.data();
+  const channels = resolveNotificationChannels(preferences);
+  const email = channels.email ? resolveEmailAddress(profile) : null;
+  const phoneNumber = channels.sms ? resolveSmsNumber(profile) : null;
+  if (!email && !phoneNumber) {
+    return;
+  }
+
+  const bookingDetails = {
+    sessionLabel: details.startDate
+      ? details.startDate.toLocaleString('en-US', DATE_FORMAT_OPTIONS)
+      : 'an upcoming date',
+    studioName: studioSnap?.data()?.name || null,
+    statusLabel: details.statusLabel,
+    link: details.deeplink,
+  };
+  const recipientName = profile?.displayName || profile?.username || '';
+
+  if (email) {
+    const link = unsubscribeUrl(await ensureUnsubscribeToken(userId), 'bookings');
+    const rendered = renderBookingMessage(reason, { recipientName, booking: bookingDetails, unsubscribeUrl: link });
+    await sendOutbound(userId, 'email', `booking_${reason}`, {
+      to: email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      headers: { 'List-Unsubscribe': `<${link}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+    });
+  }
+  if (phoneNumber) {
+    const rendered = renderBookingMessage(reason, { recipientName, booking: bookingDetails });
+    await sendOutbound(userId, 'sms', `booking_${reason}`, { to: phoneNumber, body: rendered.sms });
+  }
+}
+
+async function sendAlertDigest(userId, since, now) {
+  const [userSnap, preferences] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    loadNotificationPreferences(userId),
+  ]);
+  const email = resolveEmailAddress(userSnap.data());
+  if (!email || !resolveNotificationChannels(preferences).digest) {
+    return;
+  }
+  // Don't resend a digest when nothing new arrived since the last one.
+  const lastDigestAt = toDate(preferences?.lastDigestAt);
+  const windowStart = lastDigestAt && lastDigestAt > since.toDate() ? lastDigestAt : since.toDate();
+
+  const unreadSnap = await db
+    .collection('users')
+    .doc(userId)
+    .collection(ALERTS_COLLECTION)
+    .where('isRead', '==', false)
+    .get();
+  const unread = unreadSnap.docs
+    .map(doc => doc.data())
+    .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+  if (!unread.some(alert => toDate(alert.createdAt) > windowStart)) {
+    return;
+  }
+
+  const link = unsubscribeUrl(await ensureUnsubscribeToken(userId), 'digest');
+  const rendered = renderAlertDigest({
+    recipientName: userSnap.data()?.displayName || userSnap.data()?.username || '',
+    alerts: unread.slice(0, ALERT_DIGEST_MAX_ITEMS).map(alert => ({
+      title: alert.title,
+      message: alert.message,
+      link: alert.deeplink || null,
+    })),
+    totalUnread: unread.length,
+    unsubscribeUrl: link,
+  });
+  await sendOutbound(userId, 'email', 'digest', {
+    to: email,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    headers: { 'List-Unsubscribe': `<${link}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+  });
+  await db.collection(NOTIFICATION_PREFERENCES_COLLECTION).doc(userId).set({ lastDigestAt: now }, { merge: true });
+}
+
+function chatAlertId(conversationId) {
+  return `chat_${conversationId}`;
+}
+
+function conversationStateRef(userId, conversationId) {
+  return db.collection('users').doc(userId).collection(CONVERSATION_STATES_SUBCOLLECTION).doc(conversationId);
+}
+
+// Keeps a single alert per thread per recipient: each message bumps the
+// thread's unread count and rewrites the alert's preview and timestamp.
+async function coalesceChatAlert(userId, conversationId, preview) {
+  const preferences = await loadNotificationPreferences(userId);
+  const stateRef = conversationStateRef(userId, conversationId);
+  const alertRef = db.collection('users').doc(userId).collection(ALERTS_COLLECTION).doc(chatAlertId(conversationId));
+
+  await db.runTransaction(async transaction => {
+    const stateSnap = await transaction.get(stateRef);
+    const state = stateSnap.data() || {};
+    const now = Timestamp.now();
+    if (toDate(state.viewingUntil) > now.toDate()) {
+      transaction.set(stateRef, { lastReadAt: now, updatedAt: now }, { merge: true });
+      return;
+    }
+
+    const unreadCount = (state.unreadCount ?? 0) + 1;
+    transaction.set(
+      stateRef,
+      { userId, conversationId, unreadCount, lastMessageAt: now, updatedAt: now },
+      { merge: true },
+    );
+
+    const alert = { category: 'chat', conversationId };
+    const silencedReason = alertSilencedReason(preferences, alert, now.toDate());
+    transaction.set(alertRef, {
+      title: unreadCount === 1 ? 'New message' : `${unreadCount} new messages`,
+      message: preview,
+      category: 'chat',
+      deeplink: `punchin://chat/${conversationId}`,
+      conversationId,
+      critical: false,
+      silent: Boolean(silencedReason),
+      silencedReason,
+      unreadCount,
+      isRead: false,
+      readAt: null,
+      createdAt: now,
+    });
+  });
+}
+
+// Zeroes the per-thread counters behind coalesced chat alerts the way markConversationRead
+// does, so the next message starts a fresh "New message" alert.
+function conversationStateResets(userId, conversationIds, now) {
+  return Array.from(new Set(conversationIds)).map(conversationId => batch =>
+    batch.set(
+      conversationStateRef(userId, conversationId),
+      { userId, conversationId, unreadCount: 0, lastReadAt: now, updatedAt: now },
+      { merge: true },
+    ),
+  );
+}
+
+// Recounts rather than increments so retried or reordered trigger runs can't drift.
+async function recountUnreadAlerts(userId) {
+  const userRef = db.collection('users').doc(userId);
+  const unreadQuery = userRef.collection(ALERTS_COLLECTION).where('isRead', '==', false).count();
+  await db.runTransaction(async transaction => {
+    const [userSnap, unreadSnap] = await Promise.all([transaction.get(userRef), transaction.get(unreadQuery)]);
+    const unreadAlertCount = unreadSnap.data().count;
+    if (userSnap.exists && userSnap.data().unreadAlertCount !== unreadAlertCount) {
+      transaction.update(userRef, { unreadAlertCount });
+    }
+  });
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let index = 0; index < values.length; index += size) {
+    chunks.push(values.slice(index, index + size));
+  }
+  return chunks;
 }
 
 async function createAlert(userId, alert) {
   if (!userId) {
     return null;
   }
+  const preferences = await loadNotificationPreferences(userId);
+  const silencedReason = alertSilencedReason(preferences, alert, new Date());
   const alertRef = db.collection('users').doc(userId).collection(ALERTS_COLLECTION).doc();
-  return alertRef.set({
+  await alertRef.set({
     title: alert.title,
     message: alert.message,
     category: alert.category,
     deeplink: alert.deeplink ?? null,
+    conversationId: alert.conversationId ?? null,
+    critical: alert.critical === true,
+    silent: Boolean(silencedReason),
+    silencedReason,
     isRead: false,
     createdAt: FieldValue.serverTimestamp(),
   });
+  return { alertId: alertRef.id, silent: Boolean(silencedReason) };
 }
 
 function toDate(value) {
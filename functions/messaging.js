@@ -0,0 +1,123 @@
+import { getMessaging } from 'firebase-admin/messaging';
+
+// FCM caps a multicast send at 500 tokens.
+const FCM_MAX_TOKENS = 500;
+// Errors that mean the token will never work again and should be dropped.
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Every transport exposes the same surface:
+//   send({ tokens, title, body, data, badge, collapseKey }) -> [{ token, ok, stale, error }]
+// `data` values must be strings; `badge` is the app icon count; a later message
+// with the same `collapseKey` replaces the earlier one on the device. One result
+// is returned per token, in the order given.
+export function createMessagingTransport(env = process.env) {
+  if (env.MESSAGING_TRANSPORT === 'fake' || (env.FUNCTIONS_EMULATOR === 'true' && env.MESSAGING_TRANSPORT !== 'fcm')) {
+    return createRecordingTransport();
+  }
+  return createFcmTransport();
+}
+
+export function createFcmTransport(messaging = getMessaging()) {
+  return {
+    name: 'fcm',
+
+    async send({ tokens, title, body, data = {}, badge, collapseKey }) {
+      const results = [];
+      for (let index = 0; index < tokens.length; index += FCM_MAX_TOKENS) {
+        const batch = tokens.slice(index, index + FCM_MAX_TOKENS);
+        const response = await messaging.sendEachForMulticast({
+          tokens: batch,
+          notification: { title, body },
+          data,
+          apns: {
+            headers: collapseKey ? { 'apns-collapse-id': collapseKey } : {},
+            payload: { aps: { badge, sound: 'default' } },
+          },
+          android: {
+            ...(collapseKey ? { collapseKey } : {}),
+            notification: { notificationCount: badge, ...(collapseKey ? { tag: collapseKey } : {}) },
+          },
+        });
+        response.responses.forEach((result, position) => {
+          const code = result.error?.code ?? null;
+          results.push({
+            token: batch[position],
+            ok: result.success,
+            stale: STALE_TOKEN_ERRORS.includes(code),
+            error: code,
+          });
+        });
+      }
+      return results;
+    },
+  };
+}
+
+// Builds the `sendAlertPush` trigger body for `users/{userId}/alerts/{alertId}` writes.
+// `transport` is any of the transports above and `isSilent(userId, alert)` applies the
+// user's notification preferences to alerts that don't already carry `silent`.
+export function createAlertPushHandler({ db, transport, deviceTokensCollection, isSilent }) {
+  return async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const alert = change.after.exists ? change.after.data() : null;
+    // Coalesced chat alerts are rewritten in place; push again only when they gain unread messages.
+    const delivered =
+      alert &&
+      (!before || (alert.isRead === false && before.isRead !== false) || alert.unreadCount > (before.unreadCount ?? 0));
+    if (!delivered) {
+      return null;
+    }
+
+    const { userId, alertId } = context.params;
+    const tokensSnap = await db.collection(deviceTokensCollection).where('userId', '==', userId).get();
+    if (tokensSnap.empty) {
+      return null;
+    }
+
+    // Alerts from createAlert already carry `silent`; ones the app writes itself are checked here.
+    const silent = alert.silent ?? (await isSilent(userId, alert));
+    if (silent) {
+      return null;
+    }
+    const unreadSnap = await change.after.ref.parent.where('isRead', '==', false).count().get();
+    const results = await transport.send({
+      tokens: tokensSnap.docs.map(doc => doc.data().token),
+      title: alert.title || 'Punch-In',
+      body: alert.message || '',
+      data: {
+        alertId,
+        category: alert.category || 'system',
+        deeplink: alert.deeplink || '',
+      },
+      badge: unreadSnap.data().count,
+      collapseKey: alert.conversationId ? `chat_${alert.conversationId}` : null,
+    });
+
+    const staleTokens = new Set(results.filter(result => result.stale).map(result => result.token));
+    const staleDocs = tokensSnap.docs.filter(doc => staleTokens.has(doc.data().token));
+    if (staleDocs.length > 0) {
+      const batch = db.batch();
+      staleDocs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    return null;
+  };
+}
+
+// Keeps every message in `sent` instead of calling Google, for the emulator and
+// tests. Tokens listed in `staleTokens` fail the way an uninstalled app would.
+export function createRecordingTransport({ staleTokens = [] } = {}) {
+  const sent = [];
+  return {
+    name: 'recording',
+    sent,
+
+    async send(message) {
+      sent.push(message);
+      return message.tokens.map(token => {
+        const stale = staleTokens.includes(token);
+        return { token, ok: !stale, stale, error: stale ? STALE_TOKEN_ERRORS[0] : null };
+      });
+    },
+  };
+}
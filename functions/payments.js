@@ -0,0 +1,198 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+const FAKE_WEBHOOK_SECRET = 'fake-payments-webhook-secret';
+const PROVIDER_TIMEOUT_MS = 10000;
+// Past-due subscriptions keep their entitlement until the period they paid for ends.
+const STRIPE_ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Every provider exposes the same surface:
+//   createPaymentIntent({ amount, currency, metadata, idempotencyKey }) -> { id, clientSecret, status }
+//   refund({ paymentIntentId, amount, currency, idempotencyKey }) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> { id, type, createdAt, paymentIntentId, amount, subscription }
+//     (throws when the signature is bad; `createdAt` is when the provider raised the event, or null)
+// Amounts are in major units (e.g. dollars); event types are normalised to
+// 'payment.succeeded', 'payment.failed', 'subscription.updated' or 'ignored'.
+// Subscription events carry `subscription: { id, userId, plan, status, currentPeriodEnd }`
+// with status 'active' or 'cancelled' and `currentPeriodEnd` as a Date.
+export function createPaymentProvider(env = process.env) {
+  if (env.PAYMENTS_PROVIDER === 'fake' || (env.FUNCTIONS_EMULATOR === 'true' && env.PAYMENTS_PROVIDER !== 'stripe')) {
+    return createFakeProvider({ webhookSecret: env.FAKE_PAYMENTS_WEBHOOK_SECRET || FAKE_WEBHOOK_SECRET });
+  }
+  return createStripeProvider({ secretKey: env.STRIPE_SECRET_KEY, webhookSecret: env.STRIPE_WEBHOOK_SECRET });
+}
+
+export function createStripeProvider({ secretKey, webhookSecret }) {
+  const request = async (path, params, idempotencyKey) => {
+    if (!secretKey) {
+      throw new Error('Stripe is not configured.');
+    }
+    const response = await fetch(`${STRIPE_API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS),
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body?.error?.message || `Stripe request failed with status ${response.status}.`);
+    }
+    return body;
+  };
+
+  return {
+    name: 'stripe',
+
+    async createPaymentIntent({ amount, currency, metadata = {}, idempotencyKey }) {
+      const params = {
+        amount: String(toMinorUnits(amount)),
+        currency: currency.toLowerCase(),
+        'automatic_payment_methods[enabled]': 'true',
+      };
+      Object.entries(metadata).forEach(([key, value]) => {
+        params[`metadata[${key}]`] = String(value);
+      });
+      const intent = await request('/payment_intents', params, idempotencyKey);
+      return { id: intent.id, clientSecret: intent.client_secret, status: intent.status };
+    },
+
+    async refund({ paymentIntentId, amount, idempotencyKey }) {
+      const refund = await request(
+        '/refunds',
+        { payment_intent: paymentIntentId, amount: String(toMinorUnits(amount)) },
+        idempotencyKey,
+      );
+      return { id: refund.id, status: refund.status };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const header = headers['stripe-signature'] || '';
+      const parts = header.split(',').map(part => part.split('='));
+      const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+      if (!webhookSecret || !timestamp || signatures.length === 0) {
+        throw new Error('Missing webhook signature.');
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook signature has expired.');
+      }
+
+      const expected = hmacHex(webhookSecret, `${timestamp}.${rawBody.toString('utf8')}`);
+      if (!signatures.some(signature => safeEqual(signature, expected))) {
+        throw new Error('Invalid webhook signature.');
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      const object = event.data?.object || {};
+      const createdAt = typeof event.created === 'number' ? new Date(event.created * 1000) : null;
+      if (event.type?.startsWith('customer.subscription.')) {
+        const active =
+          event.type !== 'customer.subscription.deleted' && STRIPE_ACTIVE_SUBSCRIPTION_STATUSES.includes(object.status);
+        return {
+          id: event.id,
+          type: 'subscription.updated',
+          createdAt,
+          paymentIntentId: null,
+          amount: null,
+          failureMessage: null,
+          subscription: {
+            id: object.id,
+            userId: object.metadata?.userId ?? null,
+            plan: object.metadata?.plan ?? null,
+            status: active ? 'active' : 'cancelled',
+            currentPeriodEnd:
+              typeof object.current_period_end === 'number' ? new Date(object.current_period_end * 1000) : null,
+          },
+        };
+      }
+
+      const types = {
+        'payment_intent.succeeded': 'payment.succeeded',
+        'payment_intent.payment_failed': 'payment.failed',
+      };
+      return {
+        id: event.id,
+        type: types[event.type] || 'ignored',
+        createdAt,
+        paymentIntentId: object.id ?? null,
+        amount: typeof object.amount_received === 'number' ? fromMinorUnits(object.amount_received) : null,
+        failureMessage: object.last_payment_error?.message ?? null,
+      };
+    },
+  };
+}
+
+// Runs entirely in-process for the emulator: intents start unpaid, refunds
+// succeed immediately, and webhooks are JSON bodies of
+// `{ id, type, paymentIntentId, amount }` (or `{ id, type: 'subscription.updated', subscription }`),
+// optionally with a `created` date, signed with `signFakeWebhook`.
+export function createFakeProvider({ webhookSecret = FAKE_WEBHOOK_SECRET } = {}) {
+  return {
+    name: 'fake',
+
+    async createPaymentIntent({ idempotencyKey }) {
+      const id = `fake_pi_${idempotencyKey || randomBytes(8).toString('hex')}`;
+      return { id, clientSecret: `${id}_secret_${randomBytes(8).toString('hex')}`, status: 'requires_payment_method' };
+    },
+
+    async refund({ paymentIntentId, idempotencyKey }) {
+      return { id: `fake_re_${idempotencyKey || paymentIntentId}`, status: 'succeeded' };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const signature = headers['x-fake-signature'] || '';
+      if (!safeEqual(signature, hmacHex(webhookSecret, rawBody.toString('utf8')))) {
+        throw new Error('Invalid webhook signature.');
+      }
+      const event = JSON.parse(rawBody.toString('utf8'));
+      const subscription = event.subscription
+        ? {
+            id: event.subscription.id ?? null,
+            userId: event.subscription.userId ?? null,
+            plan: event.subscription.plan ?? null,
+            status: event.subscription.status === 'active' ? 'active' : 'cancelled',
+            currentPeriodEnd: event.subscription.currentPeriodEnd
+              ? new Date(event.subscription.currentPeriodEnd)
+              : null,
+          }
+        : null;
+      const types = ['payment.succeeded', 'payment.failed', 'subscription.updated'];
+      return {
+        id: event.id,
+        type: types.includes(event.type) ? event.type : 'ignored',
+        createdAt: event.created ? new Date(event.created) : null,
+        paymentIntentId: event.paymentIntentId ?? null,
+        amount: typeof event.amount === 'number' ? event.amount : null,
+        failureMessage: event.failureMessage ?? null,
+        subscription,
+      };
+    },
+  };
+}
+
+export function signFakeWebhook(body, webhookSecret = FAKE_WEBHOOK_SECRET) {
+  return hmacHex(webhookSecret, body);
+}
+
+function toMinorUnits(amount) {
+  return Math.round(amount * 100);
+}
+
+function fromMinorUnits(amount) {
+  return amount / 100;
+}
+
+function hmacHex(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
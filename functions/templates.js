@@ -0,0 +1,109 @@
+// Plain-text, HTML and SMS bodies for outbound messages. Everything user
+// supplied is escaped before it lands in HTML.
+
+const BOOKING_SUBJECTS = {
+  created: 'New booking request',
+  updated: 'Your booking was updated',
+  cancelled: 'Your booking was cancelled',
+};
+
+// `booking`: { sessionLabel, studioName, statusLabel, link }
+export function renderBookingMessage(reason, { recipientName, booking, unsubscribeUrl }) {
+  const subject = BOOKING_SUBJECTS[reason] || 'Booking update';
+  const where = booking.studioName ? ` at ${booking.studioName}` : '';
+  const summary = `Your session${where} on ${booking.sessionLabel} is now ${booking.statusLabel}.`;
+  const greeting = recipientName ? `Hi ${recipientName},` : 'Hi,';
+
+  const text = [greeting, '', summary, '', `Open in Punch-In: ${booking.link}`, '', unsubscribeFooter(unsubscribeUrl)]
+    .filter(line => line !== null)
+    .join('\n');
+  const html = layout(
+    subject,
+    `<p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(summary)}</p>
+    <p><a href="${escapeHtml(booking.link)}">Open in Punch-In</a></p>`,
+    unsubscribeUrl,
+  );
+  const sms = `Punch-In: ${subject}. Session${where} on ${booking.sessionLabel} is ${booking.statusLabel}. ` +
+    booking.link;
+  return { subject, text, html, sms };
+}
+
+// `alerts`: [{ title, message, link }], newest first; `totalUnread` may exceed alerts.length.
+export function renderAlertDigest({ recipientName, alerts, totalUnread, unsubscribeUrl }) {
+  const subject = `You have ${totalUnread} unread Punch-In ${totalUnread === 1 ? 'alert' : 'alerts'}`;
+  const greeting = recipientName ? `Hi ${recipientName},` : 'Hi,';
+  const more = totalUnread > alerts.length ? `…and ${totalUnread - alerts.length} more in the app.` : null;
+
+  const text = [
+    greeting,
+    '',
+    "Here's what you missed:",
+    '',
+    ...alerts.map(alert => `• ${alert.title}: ${alert.message}${alert.link ? ` (${alert.link})` : ''}`),
+    ...(more ? ['', more] : []),
+    '',
+    unsubscribeFooter(unsubscribeUrl),
+  ]
+    .filter(line => line !== null)
+    .join('\n');
+  const items = alerts
+    .map(alert => {
+      const title = alert.link
+        ? `<a href="${escapeHtml(alert.link)}">${escapeHtml(alert.title)}</a>`
+        : escapeHtml(alert.title);
+      return `<li><strong>${title}</strong><br>${escapeHtml(alert.message)}</li>`;
+    })
+    .join('\n');
+  const html = layout(
+    subject,
+    `<p>${escapeHtml(greeting)}</p>
+    <p>Here's what you missed:</p>
+    <ul>${items}</ul>
+    ${more ? `<p>${escapeHtml(more)}</p>` : ''}`,
+    unsubscribeUrl,
+  );
+  return { subject, text, html };
+}
+
+// The confirmation form (which posts back to the same URL), or the page shown once it's done.
+export function renderUnsubscribePage({ label, unsubscribed }) {
+  if (unsubscribed) {
+    return layout(
+      'Unsubscribed',
+      `<p>You've been unsubscribed from ${escapeHtml(label)}. You can turn it back on in the app.</p>`,
+    );
+  }
+  return layout(
+    'Unsubscribe',
+    `<p>Stop receiving ${escapeHtml(label)} from Punch-In?</p>
+    <form method="post"><button type="submit">Unsubscribe</button></form>`,
+  );
+}
+
+function unsubscribeFooter(unsubscribeUrl) {
+  return unsubscribeUrl ? `Unsubscribe: ${unsubscribeUrl}` : null;
+}
+
+function layout(title, body, unsubscribeUrl) {
+  const footer = unsubscribeUrl
+    ? `<p style="color:#888;font-size:12px"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`
+    : '';
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body style="font-family:-apple-system,Helvetica,Arial,sans-serif">
+    ${body}
+    ${footer}
+  </body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
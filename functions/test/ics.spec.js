@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { calendarValueToDate, expandEvents, formatCalendar, parseCalendar } from '../ics.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+function expand(name, rangeStart, rangeEnd) {
+  const calendar = parseCalendar(fixture(name));
+  return expandEvents(calendar, {
+    rangeStart: new Date(rangeStart),
+    rangeEnd: new Date(rangeEnd),
+    toInstant: value => calendarValueToDate(value, calendar.timeZone || 'UTC'),
+  }).sort((a, b) => a.start - b.start);
+}
+
+const starts = occurrences => occurrences.map(occurrence => occurrence.start.toISOString());
+
+test('weekly TZID series keeps its local time across the DST change', () => {
+  const occurrences = expand('weekly-dst.ics', '2026-10-01T00:00:00Z', '2026-12-01T00:00:00Z');
+
+  assert.deepEqual(starts(occurrences), [
+    '2026-10-20T23:00:00.000Z',
+    '2026-10-27T23:00:00.000Z',
+    '2026-11-04T00:00:00.000Z',
+    '2026-11-11T00:00:00.000Z',
+  ]);
+  occurrences.forEach(occurrence => assert.equal(occurrence.end - occurrence.start, 2 * 60 * 60 * 1000));
+});
+
+test('EXDATE removes, RECURRENCE-ID moves and cancelled overrides drop occurrences', () => {
+  const occurrences = expand('daily-exceptions.ics', '2026-11-01T00:00:00Z', '2026-11-10T00:00:00Z');
+
+  assert.deepEqual(starts(occurrences), [
+    '2026-11-02T08:00:00.000Z',
+    '2026-11-04T13:00:00.000Z',
+    '2026-11-06T08:00:00.000Z',
+  ]);
+  const moved = occurrences[1];
+  assert.equal(moved.summary, 'Morning mixing (moved)');
+  assert.equal(moved.recurrenceKey, '2026-11-04T08:00:00.000Z');
+  assert.equal(moved.end.toISOString(), '2026-11-04T14:30:00.000Z');
+  assert.equal(occurrences[0].end - occurrences[0].start, 90 * 60 * 1000);
+});
+
+test('long-running series still produce occurrences in a current window', () => {
+  const daily = expand('long-running.ics', '2026-10-19T00:00:00Z', '2026-10-26T00:00:00Z').filter(
+    occurrence => occurrence.uid === 'old-daily@fixture',
+  );
+  assert.equal(daily.length, 7);
+  assert.equal(daily[0].start.toISOString(), '2026-10-19T15:00:00.000Z');
+  // Keys stay anchored to the original series, so re-imports update the same entries.
+  assert.equal(daily[0].recurrenceKey, '2026-10-19T15:00:00.000Z');
+
+  const monthly = expand('long-running.ics', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z').filter(
+    occurrence => occurrence.uid === 'old-monthly@fixture',
+  );
+  assert.deepEqual(starts(monthly), ['2026-10-30T23:00:00.000Z']);
+
+  const biweekly = expand('long-running.ics', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z').filter(
+    occurrence => occurrence.uid === 'old-biweekly@fixture',
+  );
+  assert.deepEqual(starts(biweekly), ['2026-10-06T17:00:00.000Z', '2026-10-20T17:00:00.000Z']);
+});
+
+test('all-day, transparent and folded events', () => {
+  const calendar = parseCalendar(fixture('misc.ics'));
+  const folded = calendar.events.find(event => event.uid === 'folded@fixture');
+  assert.equal(
+    folded.summary,
+    'A very long session title that keeps going so the line has to be folded by the exporter',
+  );
+
+  const occurrences = expand('misc.ics', '2026-11-20T00:00:00Z', '2026-12-01T00:00:00Z');
+  assert.deepEqual(
+    occurrences.map(occurrence => occurrence.uid),
+    ['all-day@fixture', 'folded@fixture'],
+  );
+  const allDay = occurrences[0];
+  assert.equal(allDay.summary, 'Studio closed, holiday');
+  assert.equal(allDay.start.toISOString(), '2026-11-26T00:00:00.000Z');
+  assert.equal(allDay.end - allDay.start, 24 * 60 * 60 * 1000);
+});
+
+test('exported calendars parse back to the same events', () => {
+  const text = formatCalendar({
+    name: 'Punch-In sessions',
+    events: [
+      {
+        uid: 'booking-1@punch-in',
+        start: new Date('2026-11-02T18:00:00Z'),
+        end: new Date('2026-11-02T20:00:00Z'),
+        stamp: new Date('2026-10-19T00:00:00Z'),
+        summary: 'Session; mixing, mastering',
+        status: 'CONFIRMED',
+      },
+    ],
+  });
+
+  const occurrences = expandEvents(parseCalendar(text), {
+    rangeStart: new Date('2026-11-01T00:00:00Z'),
+    rangeEnd: new Date('2026-11-03T00:00:00Z'),
+    toInstant: value => calendarValueToDate(value, 'UTC'),
+  });
+  assert.equal(occurrences.length, 1);
+  assert.equal(occurrences[0].summary, 'Session; mixing, mastering');
+  assert.equal(occurrences[0].start.toISOString(), '2026-11-02T18:00:00.000Z');
+  assert.equal(occurrences[0].end.toISOString(), '2026-11-02T20:00:00.000Z');
+});
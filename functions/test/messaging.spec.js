@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createAlertPushHandler, createRecordingTransport } from '../messaging.js';
+
+// Just enough of Firestore for the push handler: equality queries, counts and batched deletes.
+function createFakeDb(collections) {
+  const deleted = [];
+  const query = (docs, filters) => ({
+    where: (field, op, value) => query(docs, [...filters, doc => doc[field] === value]),
+    get: async () => {
+      const matches = docs.filter(doc => filters.every(filter => filter(doc)));
+      return {
+        empty: matches.length === 0,
+        docs: matches.map(doc => ({ id: doc.id, ref: { id: doc.id }, data: () => doc })),
+      };
+    },
+    count: () => ({
+      get: async () => ({ data: () => ({ count: docs.filter(doc => filters.every(filter => filter(doc))).length }) }),
+    }),
+  });
+  return {
+    deleted,
+    collection: name => query(collections[name] || [], []),
+    batch: () => {
+      const pending = [];
+      return {
+        delete: ref => pending.push(ref.id),
+        commit: async () => deleted.push(...pending),
+      };
+    },
+  };
+}
+
+function alertChange(db, before, after) {
+  const snapshot = data => ({ exists: Boolean(data), data: () => data });
+  return {
+    before: snapshot(before),
+    after: { ...snapshot(after), ref: { parent: db.collection('alerts') } },
+  };
+}
+
+function setup({ staleTokens = [], silent = false } = {}) {
+  const db = createFakeDb({
+    deviceTokens: [
+      { id: 'hash-a', userId: 'engineer-1', token: 'token-a' },
+      { id: 'hash-b', userId: 'engineer-1', token: 'token-b' },
+      { id: 'hash-c', userId: 'artist-1', token: 'token-c' },
+    ],
+    alerts: [
+      { id: 'alert-1', isRead: false },
+      { id: 'alert-2', isRead: false },
+      { id: 'alert-3', isRead: true },
+    ],
+  });
+  const transport = createRecordingTransport({ staleTokens });
+  const handler = createAlertPushHandler({
+    db,
+    transport,
+    deviceTokensCollection: 'deviceTokens',
+    isSilent: async () => silent,
+  });
+  return { db, transport, handler };
+}
+
+const context = { params: { userId: 'engineer-1', alertId: 'alert-1' } };
+
+test('pushes new alerts to every device with the unread badge', async () => {
+  const { db, transport, handler } = setup();
+  const alert = {
+    title: 'New booking request',
+    message: 'Nov 2 at 6:00 PM',
+    category: 'booking',
+    deeplink: 'punchin://bookings/booking-1',
+    isRead: false,
+  };
+
+  await handler(alertChange(db, null, alert), context);
+
+  assert.deepEqual(transport.sent, [
+    {
+      tokens: ['token-a', 'token-b'],
+      title: 'New booking request',
+      body: 'Nov 2 at 6:00 PM',
+      data: { alertId: 'alert-1', category: 'booking', deeplink: 'punchin://bookings/booking-1' },
+      badge: 2,
+      collapseKey: null,
+    },
+  ]);
+  assert.deepEqual(db.deleted, []);
+});
+
+test('collapses chat alerts per thread and only re-pushes when unread messages grow', async () => {
+  const { db, transport, handler } = setup();
+  const chatAlert = { title: 'Sam', message: 'See you at 6', category: 'chat', isRead: false, conversationId: 'c1' };
+
+  await handler(alertChange(db, { ...chatAlert, unreadCount: 1 }, { ...chatAlert, unreadCount: 2 }), context);
+  await handler(alertChange(db, { ...chatAlert, unreadCount: 2 }, { ...chatAlert, unreadCount: 2 }), context);
+
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].collapseKey, 'chat_c1');
+  assert.equal(transport.sent[0].data.deeplink, '');
+});
+
+test('deletes tokens the transport reports as stale', async () => {
+  const { db, handler } = setup({ staleTokens: ['token-b'] });
+
+  await handler(alertChange(db, null, { title: 'Hi', message: '', isRead: false }), context);
+
+  assert.deepEqual(db.deleted, ['hash-b']);
+});
+
+test('skips silent alerts and users without devices', async () => {
+  const muted = setup({ silent: true });
+  await muted.handler(alertChange(muted.db, null, { title: 'Muted', isRead: false }), context);
+  assert.deepEqual(muted.transport.sent, []);
+
+  const flagged = setup();
+  await flagged.handler(alertChange(flagged.db, null, { title: 'Quiet', isRead: false, silent: true }), context);
+  assert.deepEqual(flagged.transport.sent, []);
+
+  const { db, transport, handler } = setup();
+  await handler(alertChange(db, null, { title: 'Hi', isRead: false }), {
+    params: { userId: 'studio-owner-1', alertId: 'alert-9' },
+  });
+  assert.deepEqual(transport.sent, []);
+});
@@ -0,0 +1,55 @@
+// Wall-clock helpers shared by the booking code and the calendar parser.
+
+export function resolveTimeZone(identifier) {
+  if (!identifier) {
+    return 'UTC';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: identifier });
+    return identifier;
+  } catch {
+    return 'UTC';
+  }
+}
+
+export function zonedDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(date)
+    .reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: weekdays.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+}
+
+// Converts a wall-clock time (`minutes` after local midnight on `dateKey`) in
+// `timeZone` to an absolute Date, re-checking the offset to settle DST changes.
+export function zonedDateTime(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = instant => {
+    const parts = zonedDateParts(new Date(instant), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  };
+
+  const firstGuess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(firstGuess));
+}
@@ -0,0 +1,125 @@
+// scripts/backfillPremiumFlags.js
+// Turns off premium flags on profiles without an active entitlement. Firestore
+// rules only let a client turn the flags on while its token carries the premium
+// claim, so profiles set up before entitlements existed need this once.
+const fs = require('fs');
+const path = require('path');
+const { initializeApp, cert } = require('firebase-admin/app');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+function loadServiceAccount() {
+  const scriptDir = __dirname;
+  const requested = process.argv[2] || process.env.FIREBASE_SERVICE_ACCOUNT || 'serviceAccountKey.json';
+  const resolveCandidate = filePath =>
+    path.isAbsolute(filePath) ? filePath : path.join(scriptDir, filePath);
+
+  const tryRequire = filePath => {
+    try {
+      // Allow require to load absolute paths
+      return require(filePath);
+    } catch (err) {
+      if (err.code === 'MODULE_NOT_FOUND') {
+        return null;
+      }
+      throw err;
+    }
+  };
+
+  const primaryPath = resolveCandidate(requested);
+  const primaryAccount = tryRequire(primaryPath);
+  if (primaryAccount) {
+    return primaryAccount;
+  }
+
+  if (requested !== 'serviceAccountKey.json') {
+    throw new Error(`Unable to load service account key from ${primaryPath}`);
+  }
+
+  const fallback = fs
+    .readdirSync(scriptDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => resolveCandidate(name))
+    .map(candidate => ({ candidate, account: tryRequire(candidate) }))
+    .find(entry => entry.account && entry.candidate.includes('firebase-adminsdk'));
+
+  if (!fallback) {
+    throw new Error(
+      `serviceAccountKey.json not found in ${scriptDir}. Pass a path via argv or set FIREBASE_SERVICE_ACCOUNT.`
+    );
+  }
+
+  console.warn(`Loaded service account from ${fallback.candidate}`);
+  return fallback.account;
+}
+
+const serviceAccount = loadServiceAccount();
+
+initializeApp({
+  credential: cert(serviceAccount)
+});
+
+const db = getFirestore();
+
+const PREMIUM_FLAGS = [
+  'engineerSettings.isPremium',
+  'engineerSettings.instantBookEnabled',
+  'premium.isPremiumEngineer',
+  'premium.instantBookEnabled'
+];
+
+function isEntitlementActive(entitlement, nowMs) {
+  const expiresAt = entitlement.expiresAt instanceof Timestamp ? entitlement.expiresAt.toMillis() : 0;
+  return entitlement.status === 'active' && expiresAt > nowMs;
+}
+
+async function main() {
+  const nowMs = Date.now();
+  const entitlements = await db.collection('entitlements').where('status', '==', 'active').get();
+  const premiumUserIds = new Set(
+    entitlements.docs.filter(doc => isEntitlementActive(doc.data(), nowMs)).map(doc => doc.id)
+  );
+
+  const snapshot = await db.collection('users').get();
+  console.log(`Scanning ${snapshot.size} users (${premiumUserIds.size} with an active entitlement)…`);
+
+  const batchSize = 500; // stay under Firestore batch limit
+  let batch = db.batch();
+  let writes = 0;
+  let updatedDocs = 0;
+
+  for (const doc of snapshot.docs) {
+    if (premiumUserIds.has(doc.id)) {
+      continue;
+    }
+    const data = doc.data();
+    const flagsOn = PREMIUM_FLAGS.filter(flag => {
+      const [mapName, field] = flag.split('.');
+      return (data[mapName] || {})[field] === true;
+    });
+    if (flagsOn.length === 0) {
+      continue;
+    }
+
+    batch.update(doc.ref, Object.fromEntries(flagsOn.map(flag => [flag, false])));
+    updatedDocs += 1;
+    writes += 1;
+    if (writes === batchSize) {
+      await batch.commit();
+      console.log(`Committed ${writes} updates…`);
+      batch = db.batch();
+      writes = 0;
+    }
+  }
+
+  if (writes > 0) {
+    await batch.commit();
+    console.log(`Committed final ${writes} updates.`);
+  }
+
+  console.log(`Done. Cleared premium flags on ${updatedDocs} profile(s).`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});